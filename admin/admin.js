@@ -0,0 +1,167 @@
+/**
+ * @fileoverview This script contains the logic of the admin dashboard, which displays the
+ * progress of the study.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - refreshInterval @type {number}: the interval in milliseconds in which the study statistics
+ * are reloaded.
+ */
+const refreshInterval = 60000;   // To be specified: the refresh interval of the dashboard!
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadStatistics();
+  setInterval(loadStatistics, refreshInterval);
+});
+
+/**
+ * Loads the study statistics from the server and displays them.
+ *
+ * - Requests the statistics from /admin/api/stats. The browser sends the credentials of the
+ *   admin area automatically.
+ * - Displays an error message if the statistics cannot be loaded.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadStatistics() {
+  const errorMessage = document.getElementById('dashboard-error-message');
+  try {
+    const res = await fetch('/admin/api/stats');
+    if (!res.ok) {
+      throw new Error(`HTTP error! Status: ${res.status}`);
+    }
+    const stats = await res.json();
+    errorMessage.style.display = 'none';
+    renderStatistics(stats);
+  } catch (error) {
+    console.error('Error when loading the study statistics:', error);
+    errorMessage.style.display = 'block';
+  }
+}
+
+/**
+ * Displays the study statistics in the dashboard.
+ *
+ * - Merges the started and completed sessions with the submitted responses per treatment group.
+ * - Fills the tables of the treatment groups, completions per day, dropouts by page and scales.
+ * - Displays the recent conversations.
+ *
+ * @param {object} stats - The study statistics provided by the server.
+ * @returns {void}
+ */
+function renderStatistics(stats) {
+  document.getElementById('medianCompletionTime').textContent = formatDuration(stats.medianCompletionSeconds);
+  document.getElementById('emailCount').textContent = stats.emailCount;
+  document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
+
+  const groups = new Map();
+  stats.sessionsPerGroup.forEach(row => {
+    groups.set(row.treatmentGroup, { started: row.started, completed: row.completed, submitted: 0 });
+  });
+  stats.responsesPerGroup.forEach(row => {
+    const group = groups.get(row.treatmentGroup) || { started: 0, completed: 0 };
+    groups.set(row.treatmentGroup, { ...group, submitted: row.count });
+  });
+  const groupRows = [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || a - b)
+    .map(([group, counts]) => [formatValue(group), counts.started, counts.completed, counts.submitted]);
+  fillTable('groupsTable', groupRows);
+
+  fillTable('completionsTable', stats.completionsPerDay.map(row => [row.day, row.count]));
+  fillTable('dropoutsTable', stats.dropoutsByPage.map(row =>
+    [`${row.page}${row.pageId ? ` (${row.pageId})` : ''}`, formatValue(row.treatmentGroup), row.count]));
+
+  fillTable('scalesTable', stats.scales.map(row => [row.label, row.n, formatValue(row.mean), formatValue(row.sd),
+    formatValue(row.alpha)]));
+
+  renderConversations(stats.recentConversations);
+}
+
+/**
+ * Replaces the rows of a table body.
+ *
+ * @param {string} id - The id of the table body.
+ * @param {Array<Array<string|number>>} rows - The cell values of the rows.
+ * @returns {void}
+ */
+function fillTable(id, rows) {
+  const tbody = document.getElementById(id);
+  tbody.innerHTML = '';
+  if (rows.length === 0) {
+    rows = [['No data']];
+  }
+  rows.forEach(values => {
+    const tr = document.createElement('tr');
+    values.forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Displays the recent conversations with their messages.
+ *
+ * - The messages are inserted as text content, so that the input of the participants is
+ *   never interpreted as html.
+ *
+ * @param {Array<object>} conversations - The recent conversations provided by the server.
+ * @returns {void}
+ */
+function renderConversations(conversations) {
+  const list = document.getElementById('conversationsList');
+  list.innerHTML = '';
+  if (conversations.length === 0) {
+    list.textContent = 'No data';
+    return;
+  }
+  conversations.forEach(conversation => {
+    const container = document.createElement('div');
+    container.className = 'conversation';
+
+    const header = document.createElement('div');
+    header.className = 'conversation-header';
+    header.textContent = `${conversation.participantId} | Group ${formatValue(conversation.treatmentGroup)} | ` +
+      `${conversation.completed ? 'completed' : 'in progress'} | ${new Date(conversation.updatedAt).toLocaleString()}`;
+    container.appendChild(header);
+
+    conversation.messages.forEach(message => {
+      const div = document.createElement('div');
+      div.className = `conversation-message ${message.from}`;
+      div.textContent = `${message.from === 'user' ? 'Participant' : 'Bot'}: ${message.text}`;
+      container.appendChild(div);
+    });
+    list.appendChild(container);
+  });
+}
+
+/**
+ * Formats a value for display; missing values (e.g. the treatment group of sessions before
+ * the assignment or statistics without enough data) are shown as '-'.
+ *
+ * @param {number|null} value - The value.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+/**
+ * Formats a duration in seconds as minutes and seconds.
+ *
+ * @param {number|null} seconds - The duration in seconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return '-';
+  }
+  return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+}
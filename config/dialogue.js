@@ -0,0 +1,115 @@
+/**
+ * @fileoverview This file contains the state machine of the scripted dialogue engine, which
+ * conducts the conversation of the chatbot on the server (see lib/bots/scripted.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Intents
+ **************************************************************************/
+
+/**
+ * Definition of the intents which are recognized in the user messages.
+ *
+ * - keywords: the message matches if it contains one of the keywords (case-insensitive).
+ * - patterns: the message matches if one of the regular expressions matches.
+ * - An intent matches if one of its keywords or patterns matches.
+ */
+const intents = {
+    'order-number': {
+        patterns: [/\d{5,}/]
+    },
+    'order-problem': {
+        keywords: ['bestell', 'liefer', 'paket', 'kaputt', 'beschädigt', 'defekt', 'falsch']
+    },
+    'no': {
+        keywords: ['nein', 'danke', 'tschüss', 'alles erledigt'],
+        patterns: [/^\s*(nö|ne)\s*[.!]?\s*$/i]
+    }
+};
+
+/**************************************************************************
+ * Dialogue states
+ **************************************************************************/
+
+/**
+ * Definition of the dialogue states.
+ *
+ * - initialState: the state in which the conversation is started.
+ * - states: the states of the dialogue. Each state has
+ *   - messages: the messages sent when the state is entered. Each message is a string, or an
+ *     array with one variant per treatment group (the first variant is used for treatment
+ *     groups without a variant).
+ *   - transitions (optional): the transitions to other states. The first transition whose
+ *     intent matches the user message is taken; the intent '*' matches every message.
+ *   - next (optional): the state which is entered directly after the messages are sent.
+ *   - fallback (optional): the message sent if no transition matches, instead of the
+ *     fallback of the dialogue. The conversation stays in the state.
+ *   - suggestedActions (optional): the titles of the buttons displayed below the last message
+ *     of the state. Clicking a button sends its title as user message.
+ *   - final (optional): true if the conversation is finished in this state.
+ * - The name of the current state is sent as dialogueState and final as finalState in the
+ *   channelData of each bot message (see processActivities in chatbot.js).
+ * - fallback: the message sent if no transition of the current state matches.
+ */
+const initialState = 'welcome';
+
+const states = {
+    'welcome': {
+        messages: [
+            ['Hallo, ich bin Clara, die digitale Assistentin. Wie kann ich Ihnen helfen?',
+                'Hallo, ich bin Clara, Ihre digitale Assistentin. Schön, dass Sie da sind! Wie kann ich Ihnen heute helfen?']
+        ],
+        transitions: [
+            { intent: 'order-number', target: 'resolution' },
+            { intent: 'order-problem', target: 'order-number' }
+        ]
+    },
+    'order-number': {
+        messages: [
+            ['Bitte nennen Sie Ihre Bestellnummer.',
+                'Das tut mir leid zu hören. Damit ich Ihnen schnell helfen kann, nennen Sie mir bitte Ihre Bestellnummer.']
+        ],
+        transitions: [
+            { intent: 'order-number', target: 'resolution' }
+        ],
+        fallback: ['Die Bestellnummer besteht aus mindestens fünf Ziffern. Bitte nennen Sie Ihre Bestellnummer.',
+            'Leider konnte ich keine Bestellnummer erkennen. Sie besteht aus mindestens fünf Ziffern und steht ' +
+            'in Ihrer Bestellbestätigung. Nennen Sie sie mir bitte noch einmal?']
+    },
+    'resolution': {
+        messages: [
+            ['Die Bestellung wurde gefunden. Eine Ersatzlieferung wurde veranlasst.',
+                'Vielen Dank! Ich habe Ihre Bestellung gefunden und direkt eine Ersatzlieferung für Sie veranlasst.'],
+            ['Gibt es noch ein weiteres Anliegen?',
+                'Kann ich sonst noch etwas für Sie tun?']
+        ],
+        suggestedActions: ['Nein, danke', 'Ja, ich habe noch ein Anliegen'],
+        transitions: [
+            { intent: 'no', target: 'goodbye' },
+            { intent: '*', target: 'further-request' }
+        ]
+    },
+    'further-request': {
+        messages: [
+            ['Weitere Anliegen können über das Kontaktformular gestellt werden.',
+                'Gerne helfe ich Ihnen auch dabei weiter. Am schnellsten geht das über unser Kontaktformular, ' +
+                'dort kümmert sich das Team persönlich um Ihr Anliegen.']
+        ],
+        next: 'goodbye'
+    },
+    'goodbye': {
+        messages: [
+            ['Das Gespräch ist beendet.',
+                'Ich hoffe, ich konnte Ihnen helfen. Ich wünsche Ihnen einen schönen Tag!']
+        ],
+        fallback: 'Das Gespräch ist bereits beendet.',
+        final: true
+    }
+};
+
+const fallback = ['Bitte beschreiben Sie Ihr Anliegen.',
+    'Entschuldigung, das habe ich leider nicht ganz verstanden. Könnten Sie Ihr Anliegen bitte noch einmal beschreiben?'];
+
+module.exports = { intents, initialState, states, fallback };
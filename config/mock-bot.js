@@ -0,0 +1,70 @@
+/**
+ * @fileoverview This file contains the configuration of the mock bot, which replaces the
+ * Direct Line chatbot for development and automated tests (see lib/bots/mock.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Simulated network behavior
+ **************************************************************************/
+
+/**
+ * Definition of the simulated network behavior of the mock bot.
+ *
+ * - latency: the minimum and maximum delay in milliseconds of each request to the mock bot.
+ * - failureRate: the share of requests which fail (between 0 and 1), to test the retry loops
+ *   of the client.
+ * - The values can be overridden with the environment variables MOCK_BOT_LATENCY (e.g.
+ *   "200-800") and MOCK_BOT_FAILURE_RATE (e.g. "0.2").
+ */
+const latency = { min: 200, max: 800 };
+const failureRate = 0;
+
+/**************************************************************************
+ * Scripted dialogue
+ **************************************************************************/
+
+/**
+ * Definition of the scripted messages of the mock bot.
+ *
+ * - welcome: the messages sent when the conversation is started.
+ * - replies: the reply to the first, second, ... user message. After the last reply, the
+ *   fallback is sent.
+ * - Each message has a text (a string, or an array with one text per treatment group), a
+ *   dialogueState and optionally finalState: true, which are sent as channelData.
+ */
+const welcome = [
+    {
+        text: ['Hallo, ich bin Clara, die digitale Assistentin. Wie kann ich Ihnen helfen?',
+            'Hallo, ich bin Clara, Ihre digitale Assistentin. Schön, dass Sie da sind! Wie kann ich Ihnen heute helfen?'],
+        dialogueState: 'welcome'
+    }
+];
+
+const replies = [
+    {
+        text: ['Bitte nennen Sie Ihre Bestellnummer.',
+            'Das tut mir leid zu hören. Damit ich Ihnen schnell helfen kann, nennen Sie mir bitte Ihre Bestellnummer.'],
+        dialogueState: 'order-number'
+    },
+    {
+        text: ['Die Bestellung wurde gefunden. Eine Ersatzlieferung wurde veranlasst.',
+            'Vielen Dank! Ich habe Ihre Bestellung gefunden und direkt eine Ersatzlieferung für Sie veranlasst.'],
+        dialogueState: 'resolution'
+    },
+    {
+        text: ['Das Gespräch ist beendet.',
+            'Ich hoffe, ich konnte Ihnen helfen. Ich wünsche Ihnen einen schönen Tag!'],
+        dialogueState: 'goodbye',
+        finalState: true
+    }
+];
+
+const fallback = {
+    text: 'Das Gespräch ist bereits beendet.',
+    dialogueState: 'goodbye',
+    finalState: true
+};
+
+module.exports = { latency, failureRate, welcome, replies, fallback };
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview This file contains the configuration of the bot backend for OpenAI-compatible
+ * chat completions endpoints (see lib/bots/openai.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Definition of the chat completions requests.
+ *
+ * - model: the name of the model.
+ * - temperature: the sampling temperature of the model.
+ * - timeout: the maximum time in milliseconds to wait for a reply.
+ * - The url of the endpoint and the api key are loaded from the environment variables
+ *   OPENAI_BASE_URL (default: https://api.openai.com/v1) and OPENAI_API_KEY.
+ */
+const model = 'gpt-4o-mini';
+const temperature = 0.7;
+const timeout = 30000;
+
+/**
+ * Definition of the end of the conversation.
+ *
+ * - maxTurns: the number of user messages after which the reply of the bot ends the
+ *   conversation (finalState).
+ * - endMarker: a text which the model adds to its reply to end the conversation earlier. The
+ *   marker is removed from the reply before it is displayed.
+ */
+const maxTurns = 6;
+const endMarker = '[ENDE]';
+
+/**
+ * Definition of the treatment arms (one entry per treatment group).
+ *
+ * - systemPrompt: the instructions of the model, which implement the manipulation.
+ * - welcome: the first message of the bot, which is sent without a request to the model.
+ * - model and temperature can optionally be overridden per arm.
+ */
+const arms = [
+    {
+        systemPrompt: 'Du bist Clara, die Kundenservice-Assistentin eines Online-Shops. Antworte sachlich, ' +
+            'knapp und neutral auf Deutsch. Hilf bei Problemen mit Bestellungen. Wenn das Anliegen gelöst ' +
+            `ist, verabschiede dich und beende deine Antwort mit ${endMarker}.`,
+        welcome: 'Hallo, ich bin Clara, die digitale Assistentin. Wie kann ich Ihnen helfen?'
+    },
+    {
+        systemPrompt: 'Du bist Clara, die Kundenservice-Assistentin eines Online-Shops. Antworte freundlich, ' +
+            'empathisch und zugewandt auf Deutsch und zeige Verständnis für die Situation der Kundin oder des ' +
+            'Kunden. Hilf bei Problemen mit Bestellungen. Wenn das Anliegen gelöst ist, verabschiede dich und ' +
+            `beende deine Antwort mit ${endMarker}.`,
+        welcome: 'Hallo, ich bin Clara, Ihre digitale Assistentin. Schön, dass Sie da sind! Wie kann ich Ihnen heute helfen?'
+    }
+];
+
+module.exports = { model, temperature, timeout, maxTurns, endMarker, arms };
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview This file contains the configuration of the bot backend for Rasa chatbots,
+ * which are connected via the Rasa REST webhook (see lib/bots/rasa.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Definition of the Rasa REST webhook.
+ *
+ * - The url of the webhook is loaded from the environment variable RASA_URL (default:
+ *   http://localhost:5005/webhooks/rest/webhook).
+ * - welcomeMessage: the message sent to the bot when the conversation is started, to trigger
+ *   its welcome message (e.g. an intent like "/greet").
+ * - timeout: the maximum time in milliseconds to wait for a reply.
+ */
+const welcomeMessage = '/greet';
+const timeout = 30000;
+
+/**
+ * Definition of the treatment arms (one entry per treatment group).
+ *
+ * - url: optional; a separate webhook per arm (e.g. one Rasa bot per manipulation).
+ * - metadata: sent with each message, so that a single Rasa bot can select the variant of the
+ *   arm (e.g. in a custom action).
+ */
+const arms = [
+    { metadata: { treatmentGroup: 0, style: 'neutral' } },
+    { metadata: { treatmentGroup: 1, style: 'empathetic' } }
+];
+
+module.exports = { welcomeMessage, timeout, arms };
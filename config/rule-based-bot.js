@@ -0,0 +1,46 @@
+/**
+ * @fileoverview This file contains the rules of the local rule-based bot backend (see
+ * lib/bots/rule-based.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Definition of the messages of the rule-based bot.
+ *
+ * - welcome: the message sent when the conversation is started.
+ * - rules: the replies to user messages. The reply of the first rule whose pattern matches
+ *   the user message is sent. If no rule matches, the fallback is sent.
+ * - Each message has a text (a string, or an array with one text per treatment group), a
+ *   dialogueState and optionally finalState: true, which are sent as channelData.
+ */
+const welcome = {
+    text: ['Hallo, ich bin Clara, die digitale Assistentin. Wie kann ich Ihnen helfen?',
+        'Hallo, ich bin Clara, Ihre digitale Assistentin. Schön, dass Sie da sind! Wie kann ich Ihnen heute helfen?'],
+    dialogueState: 'welcome'
+};
+
+const rules = [
+    {
+        pattern: /\d{5,}/,
+        text: ['Die Bestellung wurde gefunden. Eine Ersatzlieferung wurde veranlasst. Das Gespräch ist beendet.',
+            'Vielen Dank! Ich habe Ihre Bestellung gefunden und direkt eine Ersatzlieferung für Sie veranlasst. ' +
+            'Ich wünsche Ihnen einen schönen Tag!'],
+        dialogueState: 'resolution',
+        finalState: true
+    },
+    {
+        pattern: /bestell|liefer|paket|kaputt|beschädigt|defekt/i,
+        text: ['Bitte nennen Sie Ihre Bestellnummer.',
+            'Das tut mir leid zu hören. Damit ich Ihnen schnell helfen kann, nennen Sie mir bitte Ihre Bestellnummer.'],
+        dialogueState: 'order-number'
+    }
+];
+
+const fallback = {
+    text: ['Bitte beschreiben Sie Ihr Anliegen.',
+        'Entschuldigung, das habe ich leider nicht ganz verstanden. Könnten Sie Ihr Anliegen bitte noch einmal beschreiben?'],
+    dialogueState: 'fallback'
+};
+
+module.exports = { welcome, rules, fallback };
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview This file contains the declarative definition of the survey. It is loaded by
+ * the server and provided to the client, which renders the questionnaire pages from it.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Answer scales
+ **************************************************************************/
+
+/**
+ * Definition of the answer scales used by the survey items.
+ *
+ * - Each scale has a number of points (the values 1 to points are stored as answers) and
+ *   optionally a label for each point.
+ * - Semantic differential scales have no point labels since their anchors are specified
+ *   per item.
+ */
+const scales = {
+    'agreement-5': {
+        points: 5,
+        labels: [
+            'Stimme überhaupt nicht zu',
+            'Stimme eher nicht zu',
+            'Weder noch',
+            'Stimme eher zu',
+            'Stimme voll und ganz zu'
+        ]
+    },
+    'differential-5': {
+        points: 5
+    }
+};
+
+/**************************************************************************
+ * Survey pages
+ **************************************************************************/
+
+/**
+ * Definition of the survey pages in the order in which they are displayed.
+ *
+ * - id: the id of the html element of the page ('page<number>' with the number of the page in
+ *   the survey, except for the final page).
+ * - type: 'static' pages are written in index.html, 'chatbot' marks the page with the chatbot
+ *   interface, 'questionnaire' pages are rendered by the client from their questions and
+ *   'final' marks the thankyou page.
+ * - submit: whether the questionnaire page carries the submit button instead of a next button.
+ * - assignsTreatment: optional; marks the screening page after which the treatment group is 
+ *   assigned (late assignment). This page has to be placed before the chatbot page.
+ *
+ * Each question of a questionnaire page has the following attributes:
+ * - name: the name of the input, used as key in the submitted data.
+ * - type: 'differential' (semantic differential with a left and right anchor), 'likert'
+ *   (statement with the labelled points of its scale) or 'choice' (single choice with
+ *   free text options).
+ * - scale: the key of the answer scale in the scales object (not used for 'choice').
+ * - randomizationGroup: optional; all questions with the same group are shuffled among the
+ *   positions these questions take in the survey.
+ * - required: optional; questions are required unless this attribute is false (see
+ *   validationMode).
+ * - options: the answer options of a 'choice' question. An option can have an extraInput
+ *   which is a free text field displayed when the option is selected. The free text field
+ *   is required when its option is selected, unless the extraInput has required: false.
+ */
+const pages = [
+    { id: 'page1', type: 'static' },
+    { id: 'page2', type: 'static' },
+    { id: 'page3', type: 'static' },
+    { id: 'page4', type: 'chatbot' },
+    {
+        id: 'page5',
+        type: 'questionnaire',
+        title: 'Ihre Erfahrung',
+        instruction: 'Bitte bewerten Sie den Service des Chatbots anhand der folgenden Kriterien auf je einer fünfstufigen Skala.',
+        questions: [
+            {
+                name: 'service-quality-1', type: 'differential', scale: 'differential-5', randomizationGroup: 'service-quality',
+                anchors: { left: 'Sehr<br>schlecht', right: 'Sehr<br>gut' }
+            },
+            {
+                name: 'service-quality-2', type: 'differential', scale: 'differential-5', randomizationGroup: 'service-quality',
+                anchors: { left: 'Minderwertig', right: 'Hochwertig', mobileLeft: 'Minder-<br>wertig', mobileRight: 'Hoch-<br>wertig' }
+            },
+            {
+                name: 'service-quality-3', type: 'differential', scale: 'differential-5', randomizationGroup: 'service-quality',
+                anchors: { left: 'Niedriges<br>Niveau', right: 'Hohes<br>Niveau' }
+            },
+            {
+                name: 'service-quality-4', type: 'differential', scale: 'differential-5', randomizationGroup: 'service-quality',
+                anchors: { left: 'Einer der<br>schlechtesten<br>Services', right: 'Einer der<br>besten<br>Services' }
+            },
+            {
+                name: 'service-quality-5', type: 'differential', scale: 'differential-5', randomizationGroup: 'service-quality',
+                anchors: { left: 'Kein<br>Mehrwert', right: 'Großer<br>Mehrwert' }
+            },
+            {
+                name: 'service-quality-6', type: 'differential', scale: 'differential-5', randomizationGroup: 'service-quality',
+                anchors: { left: 'Niedrige<br>Qualität', right: 'Hohe<br>Qualität' }
+            }
+        ]
+    },
+    {
+        id: 'page6',
+        type: 'questionnaire',
+        title: 'Ihre Erfahrung',
+        instruction: 'Bitte geben Sie an, inwieweit Sie den folgenden Aussagen zustimmen.',
+        questions: [
+            {
+                name: 'satisfaction-1', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Die Erfahrung mit dem Chatbot hat bei mir ein zufriedenes Gefühl hinterlassen.'
+            },
+            {
+                name: 'satisfaction-2', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Service des Chatbots hat meine Bedürfnisse erfüllt.'
+            },
+            {
+                name: 'satisfaction-3', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Ich bin insgesamt zufrieden mit der Interaktion mit dem Chatbot.'
+            },
+            {
+                name: 'satisfaction-4', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Ich bin mit dem Service des Chatbots zufrieden.'
+            },
+            {
+                name: 'satisfaction-5', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Chatbot hat das getan, was ich von ihm erwartet habe.'
+            },
+            {
+                name: 'empathy-1', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Chatbot hat mir persönliche Aufmerksamkeit geschenkt.'
+            },
+            {
+                name: 'empathy-2', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Chatbot hat mir das Gefühl vermittelt, dass meine Interessen für ihn an erster Stelle stehen.'
+            },
+            {
+                name: 'empathy-3', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Ich hatte das Gefühl, dass der Chatbot mich aufmerksam und engagiert unterstützt.'
+            },
+            {
+                name: 'empathy-4', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Chatbot hat mir das Gefühl vermittelt, dass ich ignoriert werde.'
+            },
+            {
+                name: 'empathy-5', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Chatbot hat mir das Gefühl vermittelt, dass ihm meine Bedürfnisse wichtig sind.'
+            },
+            {
+                name: 'empathy-6', type: 'likert', scale: 'agreement-5', randomizationGroup: 'empathy-satisfaction',
+                text: 'Der Chatbot hat mir ein Gefühl von Herzlichkeit vermittelt.'
+            }
+        ]
+    },
+    {
+        id: 'page7',
+        type: 'questionnaire',
+        title: 'Allgemeines KI-Verständnis',
+        instruction: 'Bitte geben Sie an, inwieweit die folgenden Aussagen auf Sie zutreffen.',
+        questions: [
+            {
+                name: 'ai-literacy-1', type: 'likert', scale: 'agreement-5', randomizationGroup: 'ai-literacy',
+                text: 'Mir ist bewusst, dass generative KI wie ChatGPT bei der Bewältigung von komplexen Aufgaben an ihre Grenzen stoßen kann.'
+            },
+            {
+                name: 'ai-literacy-2', type: 'likert', scale: 'agreement-5', randomizationGroup: 'ai-literacy',
+                text: 'Mir ist bewusst, dass generative KI wie ChatGPT Inhalte erzeugen kann, die sachlich ungenau sind.'
+            },
+            {
+                name: 'ai-literacy-3', type: 'likert', scale: 'agreement-5', randomizationGroup: 'ai-literacy',
+                text: 'Mir ist bewusst, dass generative KI wie ChatGPT Inhalte erzeugen kann, die aus dem Zusammenhang gerissen oder unpassend sind.'
+            },
+            {
+                name: 'ai-literacy-4', type: 'likert', scale: 'agreement-5', randomizationGroup: 'ai-literacy',
+                text: 'Mir ist bewusst, dass die Ausgaben von generativer KI wie ChatGPT voreingenommen oder unfair sein können.'
+            },
+            {
+                name: 'ai-literacy-5', type: 'likert', scale: 'agreement-5', randomizationGroup: 'ai-literacy',
+                text: 'Mir ist bewusst, dass generative KI wie ChatGPT nur über eine eingeschränkte emotionale Intelligenz und Empathie verfügt und daher unsensible oder ungeeignete Antworten geben kann.'
+            }
+        ]
+    },
+    {
+        id: 'page8',
+        type: 'questionnaire',
+        title: 'Demographische Daten',
+        submit: true,
+        questions: [
+            {
+                name: 'gender', type: 'choice',
+                text: 'Was ist Ihr Geschlecht?',
+                options: [
+                    { value: 'männlich', label: 'Männlich' },
+                    { value: 'weiblich', label: 'Weiblich' },
+                    { value: 'divers', label: 'Divers' }
+                ]
+            },
+            {
+                name: 'age', type: 'choice',
+                text: 'Wie alt sind Sie?',
+                options: [
+                    { value: 'unter-20', label: 'Unter 20' },
+                    { value: '20-29', label: '20 - 29' },
+                    { value: '30-39', label: '30 - 39' },
+                    { value: '40-49', label: '40 - 49' },
+                    { value: '50-59', label: '50 - 59' },
+                    { value: '60-älter', label: '60 oder älter' }
+                ]
+            },
+            {
+                name: 'chatbot-experience', type: 'choice',
+                text: 'Wie häufig nutzen Sie Chatbots im Durchschnitt? (z.B. Chatbots auf Websites, ChatGPT oder Sprachassistenten wie Alexa/Siri)',
+                options: [
+                    { value: 'nie', label: 'Nie' },
+                    { value: '1-2-mal-pro-jahr', label: '1-2 Mal pro Jahr' },
+                    { value: '1-2-mal-pro-monat', label: '1-2 Mal pro Monat' },
+                    { value: 'wöchentlich', label: 'Wöchentlich' },
+                    { value: 'täglich', label: 'Täglich' }
+                ]
+            },
+            {
+                name: 'education', type: 'choice',
+                text: 'Welchen höchsten Bildungsabschluss haben Sie bisher erlangt?',
+                options: [
+                    { value: 'keinen-schulabschluss', label: 'Keinen Schulabschluss' },
+                    { value: 'hauptschulabschluss', label: 'Hauptschulabschluss' },
+                    { value: 'realschulabschluss-mittlere-reife', label: 'Realschulabschluss / Mittlere Reife' },
+                    { value: 'abitur-fachabitur', label: 'Abitur / Fachabitur' },
+                    { value: 'abgeschlossene-berufsausbildung', label: 'Abgeschlossene Berufsausbildung' },
+                    { value: 'bachelorabschluss-oder-vergleichbarer-abschluss', label: 'Bachelorabschluss oder vergleichbarer Abschluss' },
+                    { value: 'masterabschluss-oder-vergleichbarer-abschluss', label: 'Masterabschluss oder vergleichbarer Abschluss' },
+                    { value: 'promotion', label: 'Promotion' },
+                    { value: 'anderer-abschluss', label: 'Anderer Abschluss' }
+                ]
+            },
+            {
+                name: 'occupation', type: 'choice',
+                text: 'Was beschreibt Ihre aktuelle berufliche oder akademische Tätigkeit am besten?',
+                options: [
+                    { value: 'schüler', label: 'Schüler*in' },
+                    { value: 'auszubildender', label: 'Auszubildende*r' },
+                    {
+                        value: 'student', label: 'Student*in',
+                        extraInput: { name: 'occupation-student', label: 'Bitte geben Sie Ihre Studienrichtung an:', placeholder: 'Ihre Studienrichtung' }
+                    },
+                    { value: 'angestellt', label: 'Angestellt' },
+                    { value: 'selbstständig-freiberuflich', label: 'Selbstständig / Freiberuflich' },
+                    { value: 'beamtet', label: 'Beamtet' },
+                    { value: 'arbeitslos-arbeitssuchend', label: 'Arbeitslos / Arbeitssuchend' },
+                    { value: 'rentner-pensionär', label: 'Rentner*in / Pensionär*in' },
+                    {
+                        value: 'sonstiges', label: 'Sonstiges',
+                        extraInput: { name: 'occupation-other', label: 'Bitte beschreiben Sie Ihre aktuelle Tätigkeit:', placeholder: 'Ihre Tätigkeit' }
+                    }
+                ]
+            }
+        ]
+    },
+    { id: 'thankyou', type: 'final' }
+];
+
+/**************************************************************************
+ * Answer validation
+ **************************************************************************/
+
+/**
+ * Definition of the validation of required questions.
+ *
+ * - 'hard': participants can only leave a questionnaire page when all required questions
+ *   are answered, and the server rejects submissions with unanswered required questions.
+ * - 'soft': participants are asked whether they want to continue anyway, and the server
+ *   accepts unanswered required questions.
+ */
+const validationMode = 'hard';
+
+/**************************************************************************
+ * Constructs
+ **************************************************************************/
+
+/**
+ * Definition of the constructs measured by the survey items.
+ *
+ * - name: the name of the construct, used for the score columns in the data export.
+ * - label: the description of the construct.
+ * - items: the names of the questions which measure the construct.
+ * - reverseCoded: optional; the items whose values are reversed (points + 1 - value) before
+ *   the scale score is computed.
+ */
+const constructs = [
+    {
+        name: 'service-quality',
+        label: 'Service quality',
+        items: ['service-quality-1', 'service-quality-2', 'service-quality-3', 'service-quality-4', 'service-quality-5', 'service-quality-6']
+    },
+    {
+        name: 'satisfaction',
+        label: 'Satisfaction',
+        items: ['satisfaction-1', 'satisfaction-2', 'satisfaction-3', 'satisfaction-4', 'satisfaction-5']
+    },
+    {
+        name: 'empathy',
+        label: 'Empathy',
+        items: ['empathy-1', 'empathy-2', 'empathy-3', 'empathy-4', 'empathy-5', 'empathy-6'],
+        reverseCoded: ['empathy-4']
+    },
+    {
+        name: 'ai-literacy',
+        label: 'AI literacy',
+        items: ['ai-literacy-1', 'ai-literacy-2', 'ai-literacy-3', 'ai-literacy-4', 'ai-literacy-5']
+    }
+];
+
+/**************************************************************************
+ * Stratified randomization
+ **************************************************************************/
+
+/**
+ * Definition of the questions by whose answers the treatment assignment is stratified.
+ *
+ * - The questions have to be placed on or before the page with the assignsTreatment
+ *   attribute (e.g. 'chatbot-experience' and 'age' moved to a screening page before the
+ *   chatbot page).
+ * - If the array is empty, the treatment assignment is not stratified.
+ */
+const stratificationQuestions = [];
+
+module.exports = { scales, pages, validationMode, constructs, stratificationQuestions };
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview This script contains the password-protected admin area for researchers, which
+ * shows the progress of the study.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const { createExportRouter } = require('./export');
+const { computeReliability } = require('./scoring');
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - dropoutInactivity @type {number}: the time in minutes after which an incomplete session
+ * without new checkpoints is counted as a dropout.
+ * - recentConversationsLimit @type {number}: the number of recent conversations displayed
+ * in the dashboard.
+ */
+const dropoutInactivity = 60;   // To be specified: the inactivity until a session counts as dropout!
+const recentConversationsLimit = 10;   // To be specified: the number of recent conversations!
+
+/**************************************************************************
+ * Authentication
+ **************************************************************************/
+
+/**
+ * Middleware which protects the admin area with HTTP basic authentication.
+ *
+ * - The password is loaded from the ADMIN_PASSWORD environment variable; the user name is
+ *   not checked. If no password is set, the admin area is disabled.
+ * - Compares the hashes of the passwords in constant time to prevent timing attacks.
+ * - Requests the credentials from the browser if they are missing or wrong.
+ *
+ * @param {object} req - The request.
+ * @param {object} res - The response.
+ * @param {Function} next - The next middleware.
+ * @returns {void}
+ */
+function requireAdmin(req, res, next) {
+  const adminPassword = process.env.ADMIN_PASSWORD;
+  if (!adminPassword) {
+    return res.status(404).send('Not found');
+  }
+
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  if (scheme === 'Basic' && encoded) {
+    const credentials = Buffer.from(encoded, 'base64').toString();
+    const password = credentials.slice(credentials.indexOf(':') + 1);
+    const expected = crypto.createHash('sha256').update(adminPassword).digest();
+    const actual = crypto.createHash('sha256').update(password).digest();
+    if (crypto.timingSafeEqual(expected, actual)) {
+      return next();
+    }
+  }
+
+  res.set('WWW-Authenticate', 'Basic realm="Study admin", charset="UTF-8"');
+  res.status(401).send('Authentication required');
+}
+
+/**************************************************************************
+ * Study statistics
+ **************************************************************************/
+
+/**
+ * Collects the statistics of the study progress from the database.
+ *
+ * - Counts the submitted responses per treatment group (survey_responses table) and the
+ *   started and completed sessions per treatment group (survey_sessions table).
+ * - Counts the completions per day by the submission time of the responses (survey_responses
+ *   table), so that responses without a session (e.g. without a checkpoint before the
+ *   submission) are counted as well.
+ * - Counts the dropouts by the furthest page reached. Incomplete sessions only count as
+ *   dropouts after dropoutInactivity minutes without a checkpoint.
+ * - Determines the median completion time in seconds from the start of the session to the
+ *   submission of the response (only responses with a session).
+ * - Loads the most recent conversations and the number of submitted emails (emails and
+ *   pending_emails tables).
+ * - Computes the reliability statistics of the constructs (see lib/scoring.js).
+ *
+ * @async
+ * @param {object} pool - The database connection pool.
+ * @param {object} surveyDefinition - The survey definition, used to name the pages.
+ * @returns {object} The statistics of the study progress.
+ */
+async function getStudyStatistics(pool, surveyDefinition) {
+  const responsesResult = await pool.query(`
+    SELECT treatment_group, COUNT(*) AS count
+    FROM survey_responses
+    GROUP BY treatment_group
+    ORDER BY treatment_group
+  `);
+  const sessionsResult = await pool.query(`
+    SELECT treatment_group, COUNT(*) AS started, COUNT(*) FILTER (WHERE completed) AS completed
+    FROM survey_sessions
+    GROUP BY treatment_group
+    ORDER BY treatment_group
+  `);
+  const completionsResult = await pool.query(`
+    SELECT to_char(date_trunc('day', submitted_at), 'YYYY-MM-DD') AS day, COUNT(*) AS count
+    FROM survey_responses
+    WHERE submitted_at IS NOT NULL
+    GROUP BY 1
+    ORDER BY 1
+  `);
+  const dropoutsResult = await pool.query(`
+    SELECT furthest_page, treatment_group, COUNT(*) AS count
+    FROM survey_sessions
+    WHERE NOT completed AND updated_at < NOW() - make_interval(mins => $1)
+    GROUP BY furthest_page, treatment_group
+    ORDER BY furthest_page, treatment_group
+  `, [dropoutInactivity]);
+  const durationResult = await pool.query(`
+    SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (r.submitted_at - s.started_at))) AS median_seconds
+    FROM survey_responses r JOIN survey_sessions s USING (participant_id)
+    WHERE r.submitted_at IS NOT NULL
+  `);
+  const conversationsResult = await pool.query(`
+    SELECT participant_id, treatment_group, completed, updated_at, conversation_log
+    FROM survey_sessions
+    WHERE conversation_log IS NOT NULL AND conversation_log <> ''
+    ORDER BY updated_at DESC
+    LIMIT $1
+  `, [recentConversationsLimit]);
+  const emailsResult = await pool.query(`
+    SELECT (SELECT COUNT(*) FROM emails) + (SELECT COUNT(*) FROM pending_emails) AS count
+  `);
+  const responseDataResult = await pool.query('SELECT response_data FROM survey_responses');
+
+  const pageIds = surveyDefinition.pages.map(page => page.id);
+  const medianSeconds = durationResult.rows[0].median_seconds;
+
+  return {
+    responsesPerGroup: responsesResult.rows.map(row => ({
+      treatmentGroup: row.treatment_group,
+      count: Number(row.count)
+    })),
+    sessionsPerGroup: sessionsResult.rows.map(row => ({
+      treatmentGroup: row.treatment_group,
+      started: Number(row.started),
+      completed: Number(row.completed)
+    })),
+    completionsPerDay: completionsResult.rows.map(row => ({
+      day: row.day,
+      count: Number(row.count)
+    })),
+    dropoutsByPage: dropoutsResult.rows.map(row => ({
+      page: row.furthest_page,
+      pageId: pageIds[row.furthest_page - 1] || null,
+      treatmentGroup: row.treatment_group,
+      count: Number(row.count)
+    })),
+    medianCompletionSeconds: medianSeconds === null ? null : Math.round(Number(medianSeconds)),
+    recentConversations: conversationsResult.rows.map(row => ({
+      participantId: row.participant_id,
+      treatmentGroup: row.treatment_group,
+      completed: row.completed,
+      updatedAt: row.updated_at,
+      messages: parseConversationMessages(row.conversation_log)
+    })),
+    emailCount: Number(emailsResult.rows[0].count),
+    scales: computeReliability(responseDataResult.rows.map(row =>
+      typeof row.response_data === 'string' ? JSON.parse(row.response_data) : (row.response_data || {})), surveyDefinition)
+  };
+}
+
+/**
+ * Extracts the messages from a stored conversation log.
+ *
+ * - The conversation log is the conversation state of the client (see chatbot.js) as a json
+ *   string. If it cannot be parsed, an empty array is returned.
+ *
+ * @param {string} conversationLog - The conversation log.
+ * @returns {Array<{text: string, from: string}>} The messages of the conversation.
+ */
+function parseConversationMessages(conversationLog) {
+  try {
+    const conversation = JSON.parse(conversationLog);
+    return (conversation.messages || []).map(message => ({ text: message.text, from: message.from }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**************************************************************************
+ * Admin router
+ **************************************************************************/
+
+/**
+ * Creates the router of the admin area.
+ *
+ * - All routes of the admin area are protected by requireAdmin.
+ * - Provides the statistics of the study progress in json format at /api/stats.
+ * - Provides the export of the survey responses at /export (see lib/export.js).
+ * - Provides the dashboard (html, css and javascript files from the admin directory).
+ *
+ * @param {object} pool - The database connection pool.
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {object} The express router of the admin area.
+ */
+function createAdminRouter(pool, surveyDefinition) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/api/stats', async (req, res) => {
+    try {
+      const statistics = await getStudyStatistics(pool, surveyDefinition);
+      res.json(statistics);
+    } catch (error) {
+      console.error('Error when loading the study statistics:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.use('/export', createExportRouter(pool, surveyDefinition));
+  router.use(express.static(path.join(__dirname, '..', 'admin')));
+  return router;
+}
+
+module.exports = { createAdminRouter, requireAdmin };
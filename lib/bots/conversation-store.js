@@ -0,0 +1,238 @@
+/**
+ * @fileoverview This script contains the in-memory conversation store of the bot backends
+ * which are not connected via the Direct Line api. It keeps the activities of each
+ * conversation in the format of the Direct Line api, which the client understands.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - conversationTimeout @type {number}: the time in milliseconds after which inactive
+ * conversations are removed from the memory.
+ */
+const conversationTimeout = 60 * 60 * 1000;
+
+/**
+ * Creates a conversation store.
+ *
+ * - Stores the activities of each conversation in memory. As in the Direct Line api, the
+ *   watermark is the number of activities already retrieved and the activity id consists of
+ *   the conversationId and the sequence number of the activity.
+ * - Removes conversations after conversationTimeout milliseconds without activity.
+ * - Notifies the subscribers of a conversation (see subscribe) about new activities. All
+ *   activities added in the same tick (e.g. a user message and the reply of the bot) are
+ *   delivered together, like the result of a retrieval.
+ *
+ * @returns {object} The conversation store.
+ */
+function createConversationStore() {
+  const conversations = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, value] of conversations) {
+      if (now - value.timestamp > conversationTimeout) {
+        conversations.delete(key);
+      }
+    }
+  }, 60000).unref();
+
+  /**
+   * Creates a new conversation.
+   *
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {object} The conversation with the id, the treatmentGroup, the activities and
+   * the number of user messages.
+   */
+  function create(treatmentGroup) {
+    const conversation = {
+      id: crypto.randomBytes(12).toString('hex'),
+      treatmentGroup,
+      activities: [],
+      userMessages: 0,
+      subscribers: new Set(),
+      notificationScheduled: false,
+      timestamp: Date.now()
+    };
+    conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  /**
+   * Loads a conversation and refreshes its timestamp.
+   *
+   * @param {string} conversationId - The id of the conversation.
+   * @returns {object} The conversation.
+   */
+  function get(conversationId) {
+    const conversation = conversations.get(conversationId);
+    if (!conversation) {
+      throw new Error(`Unknown conversation: ${conversationId}`);
+    }
+    conversation.timestamp = Date.now();
+    return conversation;
+  }
+
+  /**
+   * Adds an activity to a conversation.
+   *
+   * @param {object} conversation - The conversation.
+   * @param {object} activity - The activity without id.
+   * @returns {object} The added activity.
+   */
+  function addActivity(conversation, activity) {
+    const sequence = String(conversation.activities.length).padStart(7, '0');
+    const added = {
+      ...activity,
+      id: `${conversation.id}|${sequence}`,
+      timestamp: new Date().toISOString(),
+      channelId: 'directline',
+      conversation: { id: conversation.id }
+    };
+    conversation.activities.push(added);
+    scheduleNotification(conversation);
+    return added;
+  }
+
+  /**
+   * Schedules the notification of the subscribers of a conversation about new activities at
+   * the end of the current tick.
+   *
+   * @param {object} conversation - The conversation.
+   */
+  function scheduleNotification(conversation) {
+    if (conversation.notificationScheduled || conversation.subscribers.size === 0) {
+      return;
+    }
+    conversation.notificationScheduled = true;
+    setImmediate(() => {
+      conversation.notificationScheduled = false;
+      conversation.subscribers.forEach(subscriber => {
+        if (subscriber.position < conversation.activities.length) {
+          const activities = conversation.activities.slice(subscriber.position);
+          subscriber.position = conversation.activities.length;
+          subscriber.onActivities({ activities, watermark: String(subscriber.position) });
+        }
+      });
+    });
+  }
+
+  /**
+   * Adds a user message to a conversation.
+   *
+   * @param {object} conversation - The conversation.
+   * @param {string} text - The text of the user message.
+   * @returns {object} The added activity.
+   */
+  function addUserMessage(conversation, text) {
+    conversation.userMessages++;
+    return addActivity(conversation, {
+      type: 'message',
+      from: { id: 'user1' },
+      text,
+      channelData: { treatmentGroup: conversation.treatmentGroup }
+    });
+  }
+
+  /**
+   * Adds a bot message to a conversation. The dialogueState and finalState of the message are
+   * sent as channelData (see processActivities in chatbot.js). Suggested actions and
+   * attachments (cards) of the message are sent in the format of the Direct Line api.
+   *
+   * @param {object} conversation - The conversation.
+   * @param {{text: string, dialogueState: string, finalState: boolean,
+   * suggestedActions?: object[], attachments?: object[]}} message - The bot message.
+   * @param {string|null} replyToId - The activity id of the user message, if any.
+   * @returns {object} The added activity.
+   */
+  function addBotMessage(conversation, message, replyToId) {
+    const activity = {
+      type: 'message',
+      from: { id: 'bot', name: 'Bot' },
+      text: message.text,
+      replyToId,
+      channelData: { dialogueState: message.dialogueState, finalState: !!message.finalState }
+    };
+    if (message.suggestedActions && message.suggestedActions.length > 0) {
+      activity.suggestedActions = { actions: message.suggestedActions };
+    }
+    if (message.attachments && message.attachments.length > 0) {
+      activity.attachments = message.attachments;
+    }
+    return addActivity(conversation, activity);
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  function getActivities(conversationId, watermark) {
+    const conversation = get(conversationId);
+    const start = parseInt(watermark, 10) || 0;
+    return {
+      activities: conversation.activities.slice(start),
+      watermark: String(conversation.activities.length)
+    };
+  }
+
+  /**
+   * Subscribes to the new activities of a conversation.
+   *
+   * - The activities since the watermark are delivered right away, all later activities as
+   *   soon as they are added.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @param {function({activities: object[], watermark: string}): void} onActivities - The
+   * function which receives the new activities.
+   * @returns {Promise<function(): void>} The function which ends the subscription.
+   */
+  async function subscribe(conversationId, watermark, onActivities) {
+    const conversation = get(conversationId);
+    const subscriber = { position: parseInt(watermark, 10) || 0, onActivities };
+    conversation.subscribers.add(subscriber);
+    scheduleNotification(conversation);
+    return () => conversation.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Determines the messages of a conversation in chronological order.
+   *
+   * @param {object} conversation - The conversation.
+   * @returns {Array<{from: string, text: string}>} The messages ('user' or 'bot').
+   */
+  function getMessages(conversation) {
+    return conversation.activities
+      .filter(activity => activity.type === 'message')
+      .map(activity => ({ from: activity.from.id === 'user1' ? 'user' : 'bot', text: activity.text }));
+  }
+
+  return { create, get, addUserMessage, addBotMessage, getActivities, subscribe, getMessages };
+}
+
+/**
+ * Selects the variant of a configuration value for a treatment group.
+ *
+ * - If the value is an array, it contains one variant per treatment group; the first variant
+ *   is used for treatment groups without a variant. Otherwise, the value applies to all groups.
+ *
+ * @param {*} value - The configuration value.
+ * @param {number} treatmentGroup - The treatment group.
+ * @returns {*} The variant for the treatment group.
+ */
+function selectVariant(value, treatmentGroup) {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+  return value[treatmentGroup] !== undefined ? value[treatmentGroup] : value[0];
+}
+
+module.exports = { createConversationStore, selectVariant };
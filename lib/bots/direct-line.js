@@ -0,0 +1,154 @@
+/**
+ * @fileoverview This script contains the bot backend for chatbots which are connected via the
+ * Microsoft Bot Framework Direct Line api.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const WebSocket = require('ws');
+
+/**
+ * Creates the Direct Line bot backend.
+ *
+ * - All bot backends provide the functions startConversation, getActivities, sendMessage and
+ *   subscribe and return the activities in the format of the Direct Line api, which the
+ *   client understands (see processActivities in chatbot.js).
+ *
+ * @param {{secret: string, baseUrl: string}} options - The Direct Line secret, acting as key for
+ * the api, and the base url of the api.
+ * @returns {object} The bot backend.
+ */
+function createDirectLineBot({ secret, baseUrl }) {
+  const headers = {
+    'Authorization': `Bearer ${secret}`,
+    'Content-Type': 'application/json'
+  };
+
+  /**
+   * Starts a new conversation with the chatbot.
+   *
+   * - Sends a conversationUpdate to the chatbot to inform the chatbot that the user has joined
+   *   the conversation and to inform the chatbot about the user's treatment group value.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {object} The conversation data with the conversationId.
+   */
+  async function startConversation(treatmentGroup) {
+    const response = await axios.post(`${baseUrl}/conversations`, {}, { headers });
+    const data = response.data;
+    const activity = {
+      type: "conversationUpdate",
+      membersAdded: [{ id: "user1" }],
+      from: { id: "Test_Chatbot_1" },
+      channelData: { treatmentGroup: treatmentGroup }
+    };
+    await axios.post(`${baseUrl}/conversations/${data.conversationId}/activities`, activity, { headers });
+    return data;
+  }
+
+  /**
+   * Retrieves the activities of a conversation. The watermark value is added to the retrieval
+   * url to only receive new activities since the last retrieval.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    let url = `${baseUrl}/conversations/${conversationId}/activities`;
+    if (watermark) {
+      url += `?watermark=${watermark}`;
+    }
+    const response = await axios.get(url, { headers: { 'Authorization': headers.Authorization } });
+    return response.data;
+  }
+
+  /**
+   * Adds a user message to the conversation.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} text - The text of the user message.
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {{id: string}} The activity id of the user message.
+   */
+  async function sendMessage(conversationId, text, treatmentGroup) {
+    const activity = {
+      type: "message",
+      from: { id: "user1" },
+      text,
+      channelData: { treatmentGroup: treatmentGroup }
+    };
+    const response = await axios.post(`${baseUrl}/conversations/${conversationId}/activities`, activity, { headers });
+    return response.data;
+  }
+
+  /**
+   * Subscribes to the new activities of a conversation via the stream of the Direct Line api.
+   *
+   * - Requests a streamUrl for the conversation, starting at the watermark, and connects to
+   *   the WebSocket of the stream. The activities since the watermark are delivered right
+   *   away, all later activities as soon as the chatbot sends them.
+   * - Calls onError when the WebSocket fails or is closed by the Direct Line api.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @param {function({activities: object[], watermark: string}): void} onActivities - The
+   * function which receives the new activities.
+   * @param {function(Error): void} onError - The function which is called when the stream fails.
+   * @returns {Promise<function(): void>} The function which ends the subscription.
+   */
+  async function subscribe(conversationId, watermark, onActivities, onError) {
+    let url = `${baseUrl}/conversations/${conversationId}`;
+    if (watermark) {
+      url += `?watermark=${watermark}`;
+    }
+    const response = await axios.get(url, { headers: { 'Authorization': headers.Authorization } });
+    const socket = new WebSocket(response.data.streamUrl);
+    let closed = false;
+
+    /**
+     * Calls onError, unless the subscription has already been ended or has already failed.
+     *
+     * @param {Error} error - The reason why the stream failed.
+     */
+    function fail(error) {
+      if (!closed) {
+        closed = true;
+        onError(error);
+      }
+    }
+
+    socket.on('message', message => {
+      const text = message.toString();
+      if (!text) {
+        return;   // The Direct Line api sends empty messages to keep the connection alive.
+      }
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        console.error('Skipping an invalid message of the Direct Line stream');
+        return;
+      }
+      if (data.activities && data.activities.length > 0) {
+        onActivities(data);
+      }
+    });
+    socket.on('error', error => fail(error));
+    socket.on('close', () => fail(new Error('The Direct Line stream was closed.')));
+
+    return () => {
+      closed = true;
+      socket.terminate();
+    };
+  }
+
+  return { startConversation, getActivities, sendMessage, subscribe };
+}
+
+module.exports = { createDirectLineBot };
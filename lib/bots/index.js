@@ -0,0 +1,66 @@
+/**
+ * @fileoverview This script selects the bot backend which the chatbot routes of the server
+ * use to communicate with the chatbot.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createDirectLineBot } = require('./direct-line');
+const { createMockBot } = require('./mock');
+const { createOpenAiBot } = require('./openai');
+const { createRasaBot } = require('./rasa');
+const { createRuleBasedBot } = require('./rule-based');
+const { createScriptedBot } = require('./scripted');
+
+/**
+ * Creates the bot backend.
+ *
+ * - Each bot backend provides the functions startConversation(treatmentGroup),
+ *   getActivities(conversationId, watermark), sendMessage(conversationId, text,
+ *   treatmentGroup) and subscribe(conversationId, watermark, onActivities, onError) and
+ *   returns the activities in the format of the Direct Line api, which the client
+ *   understands (see processActivities in chatbot.js).
+ * - 'directline': the chatbot is connected via the Direct Line api. Requires the
+ *   DIRECT_LINE_SECRET environment variable; the base url of the api can be changed with the
+ *   DIRECT_LINE_BASE environment variable.
+ * - 'mock': the built-in mock bot with scripted replies (see config/mock-bot.js).
+ * - 'openai': an OpenAI-compatible chat completions endpoint with a system prompt per
+ *   treatment arm (see config/openai-bot.js). Requires the OPENAI_API_KEY environment variable.
+ * - 'rasa': a Rasa chatbot via the REST webhook (see config/rasa-bot.js).
+ * - 'rule-based': a local bot which replies with the first matching rule (see
+ *   config/rule-based-bot.js).
+ * - 'scripted': the scripted dialogue engine, which follows the state machine of
+ *   config/dialogue.js.
+ *
+ * @param {string} name - The name of the bot backend.
+ * @returns {object} The bot backend.
+ */
+function createBotBackend(name) {
+  switch (name) {
+    case 'directline':
+      if (!process.env.DIRECT_LINE_SECRET) {
+        throw new Error('DIRECT_LINE_SECRET not set in environment variables');
+      }
+      return createDirectLineBot({
+        secret: process.env.DIRECT_LINE_SECRET,
+        baseUrl: process.env.DIRECT_LINE_BASE || 'https://europe.directline.botframework.com/v3/directline'
+      });
+    case 'mock':
+      return createMockBot(require('../../config/mock-bot'));
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not set in environment variables');
+      }
+      return createOpenAiBot(require('../../config/openai-bot'));
+    case 'rasa':
+      return createRasaBot(require('../../config/rasa-bot'));
+    case 'rule-based':
+      return createRuleBasedBot(require('../../config/rule-based-bot'));
+    case 'scripted':
+      return createScriptedBot(require('../../config/dialogue'));
+    default:
+      throw new Error(`Unknown bot backend: ${name}`);
+  }
+}
+
+module.exports = { createBotBackend };
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview This script contains the mock bot backend, which simulates a Direct Line
+ * chatbot with scripted replies, so that the study can be run without an Azure bot (e.g. for
+ * development and automated tests).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createConversationStore, selectVariant } = require('./conversation-store');
+
+/**
+ * Creates the mock bot backend.
+ *
+ * - Provides the same functions as the Direct Line bot backend (see lib/bots/direct-line.js)
+ *   and keeps the activities in a conversation store (see lib/bots/conversation-store.js).
+ * - Replies to each user message immediately with the next scripted message, whose
+ *   dialogueState and finalState are sent as channelData.
+ * - Delays each request by a random latency and lets a share of the requests fail, according
+ *   to the configuration (see config/mock-bot.js).
+ *
+ * @param {object} config - The configuration of the mock bot.
+ * @returns {object} The bot backend.
+ */
+function createMockBot(config) {
+  const store = createConversationStore();
+  const latency = parseLatency(process.env.MOCK_BOT_LATENCY) || config.latency;
+  const failureRate = process.env.MOCK_BOT_FAILURE_RATE !== undefined
+    ? Number(process.env.MOCK_BOT_FAILURE_RATE)
+    : config.failureRate;
+
+  /**
+   * Simulates the latency of the network and the bot and fails a share of the requests.
+   *
+   * @async
+   * @param {string} operation - The name of the operation (used in the error message).
+   * @returns {Promise<void>}
+   */
+  async function simulateNetwork(operation) {
+    const delay = latency.min + Math.random() * (latency.max - latency.min);
+    await new Promise(r => setTimeout(r, delay));
+    if (Math.random() < failureRate) {
+      throw new Error(`Simulated failure of the mock bot (${operation})`);
+    }
+  }
+
+  /**
+   * Selects the text variant of a scripted message for the treatment group of the conversation.
+   *
+   * @param {object} conversation - The conversation.
+   * @param {object} message - The scripted message (see config/mock-bot.js).
+   * @returns {{text: string, dialogueState: string, finalState: boolean}} The bot message.
+   */
+  function scriptedMessage(conversation, message) {
+    return { ...message, text: selectVariant(message.text, conversation.treatmentGroup) };
+  }
+
+  /**
+   * Starts a new conversation and adds the scripted welcome messages.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {{conversationId: string}} The conversation data with the conversationId.
+   */
+  async function startConversation(treatmentGroup) {
+    await simulateNetwork('startConversation');
+    const conversation = store.create(treatmentGroup);
+    config.welcome.forEach(message => store.addBotMessage(conversation, scriptedMessage(conversation, message), null));
+    return { conversationId: conversation.id };
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    await simulateNetwork('getActivities');
+    return store.getActivities(conversationId, watermark);
+  }
+
+  /**
+   * Adds a user message to the conversation and replies with the next scripted message.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} text - The text of the user message.
+   * @returns {{id: string}} The activity id of the user message.
+   */
+  async function sendMessage(conversationId, text) {
+    await simulateNetwork('sendMessage');
+    const conversation = store.get(conversationId);
+    const reply = config.replies[conversation.userMessages] || config.fallback;
+    const activity = store.addUserMessage(conversation, text);
+    store.addBotMessage(conversation, scriptedMessage(conversation, reply), activity.id);
+    return { id: activity.id };
+  }
+
+  return { startConversation, getActivities, sendMessage, subscribe: store.subscribe };
+}
+
+/**
+ * Parses a latency range like "200-800" (or a single value like "500").
+ *
+ * @param {string} value - The latency range in milliseconds.
+ * @returns {{min: number, max: number}|null} The latency range, or null if the value is not set.
+ */
+function parseLatency(value) {
+  if (!value) {
+    return null;
+  }
+  const [min, max = min] = value.split('-').map(Number);
+  return { min, max };
+}
+
+module.exports = { createMockBot };
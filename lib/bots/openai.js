@@ -0,0 +1,109 @@
+/**
+ * @fileoverview This script contains the bot backend for OpenAI-compatible chat completions
+ * endpoints, in which the manipulation is implemented by a system prompt per treatment arm.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const { createConversationStore, selectVariant } = require('./conversation-store');
+
+/**
+ * Creates the OpenAI-compatible bot backend.
+ *
+ * - Provides the same functions as the Direct Line bot backend (see lib/bots/direct-line.js)
+ *   and keeps the activities in a conversation store (see lib/bots/conversation-store.js).
+ * - Sends the system prompt of the treatment arm and the previous messages of the
+ *   conversation to the chat completions endpoint and adds the reply to the conversation.
+ * - The dialogueState of each reply is the number of the turn ("turn-1", "turn-2", ...). The
+ *   reply ends the conversation (finalState) after maxTurns user messages or when the model
+ *   adds the endMarker.
+ *
+ * @param {object} config - The configuration of the backend (see config/openai-bot.js).
+ * @returns {object} The bot backend.
+ */
+function createOpenAiBot(config) {
+  const store = createConversationStore();
+  const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  /**
+   * Starts a new conversation and adds the welcome message of the treatment arm.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {{conversationId: string}} The conversation data with the conversationId.
+   */
+  async function startConversation(treatmentGroup) {
+    const conversation = store.create(treatmentGroup);
+    const arm = selectVariant(config.arms, treatmentGroup);
+    if (arm.welcome) {
+      store.addBotMessage(conversation, { text: arm.welcome, dialogueState: 'welcome' }, null);
+    }
+    return { conversationId: conversation.id };
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    return store.getActivities(conversationId, watermark);
+  }
+
+  /**
+   * Requests the reply of the model to a user message and adds both to the conversation.
+   *
+   * - The user message is only added when the reply has been received, so that a retry of the
+   *   client after a failed request does not duplicate the user message.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} text - The text of the user message.
+   * @returns {{id: string}} The activity id of the user message.
+   */
+  async function sendMessage(conversationId, text) {
+    const conversation = store.get(conversationId);
+    const arm = selectVariant(config.arms, conversation.treatmentGroup);
+    const messages = [
+      { role: 'system', content: arm.systemPrompt },
+      ...store.getMessages(conversation).map(message => ({
+        role: message.from === 'user' ? 'user' : 'assistant',
+        content: message.text
+      })),
+      { role: 'user', content: text }
+    ];
+
+    const response = await axios.post(`${baseUrl}/chat/completions`, {
+      model: arm.model || config.model,
+      temperature: arm.temperature !== undefined ? arm.temperature : config.temperature,
+      messages
+    }, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: config.timeout
+    });
+
+    let reply = response.data.choices[0].message.content.trim();
+    const turn = conversation.userMessages + 1;
+    let finalState = turn >= config.maxTurns;
+    if (config.endMarker && reply.includes(config.endMarker)) {
+      reply = reply.replace(config.endMarker, '').trim();
+      finalState = true;
+    }
+
+    const activity = store.addUserMessage(conversation, text);
+    store.addBotMessage(conversation, { text: reply, dialogueState: `turn-${turn}`, finalState }, activity.id);
+    return { id: activity.id };
+  }
+
+  return { startConversation, getActivities, sendMessage, subscribe: store.subscribe };
+}
+
+module.exports = { createOpenAiBot };
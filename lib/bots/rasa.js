@@ -0,0 +1,111 @@
+/**
+ * @fileoverview This script contains the bot backend for Rasa chatbots, which are connected
+ * via the Rasa REST webhook.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const { createConversationStore, selectVariant } = require('./conversation-store');
+
+/**
+ * Creates the Rasa bot backend.
+ *
+ * - Provides the same functions as the Direct Line bot backend (see lib/bots/direct-line.js)
+ *   and keeps the activities in a conversation store (see lib/bots/conversation-store.js).
+ * - Sends each user message with the metadata of the treatment arm to the webhook of the arm.
+ *   The conversationId is used as sender id, so that Rasa keeps one tracker per conversation.
+ * - Adds the text messages of the reply to the conversation. A custom payload with a
+ *   dialogueState and finalState (e.g. {"custom": {"dialogueState": "...", "finalState": true}})
+ *   is sent as channelData of the last text message of the reply.
+ *
+ * @param {object} config - The configuration of the backend (see config/rasa-bot.js).
+ * @returns {object} The bot backend.
+ */
+function createRasaBot(config) {
+  const store = createConversationStore();
+  const defaultUrl = process.env.RASA_URL || 'http://localhost:5005/webhooks/rest/webhook';
+
+  /**
+   * Sends a message to the webhook of the treatment arm of the conversation.
+   *
+   * @async
+   * @param {object} conversation - The conversation.
+   * @param {string} text - The message.
+   * @returns {Array<{text: string, dialogueState: string, finalState: boolean}>} The bot messages.
+   */
+  async function requestReply(conversation, text) {
+    const arm = selectVariant(config.arms, conversation.treatmentGroup) || {};
+    const response = await axios.post(arm.url || defaultUrl, {
+      sender: conversation.id,
+      message: text,
+      metadata: arm.metadata || { treatmentGroup: conversation.treatmentGroup }
+    }, { timeout: config.timeout });
+
+    const messages = [];
+    let state = {};
+    (response.data || []).forEach(item => {
+      if (item.custom) {
+        state = { ...state, ...item.custom };
+      }
+      if (item.text) {
+        messages.push({ text: item.text });
+      }
+    });
+    if (messages.length > 0) {
+      Object.assign(messages[messages.length - 1], {
+        dialogueState: state.dialogueState,
+        finalState: !!state.finalState
+      });
+    }
+    return messages;
+  }
+
+  /**
+   * Starts a new conversation and sends the welcome message to the bot to trigger its welcome.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {{conversationId: string}} The conversation data with the conversationId.
+   */
+  async function startConversation(treatmentGroup) {
+    const conversation = store.create(treatmentGroup);
+    if (config.welcomeMessage) {
+      const replies = await requestReply(conversation, config.welcomeMessage);
+      replies.forEach(reply => store.addBotMessage(conversation, reply, null));
+    }
+    return { conversationId: conversation.id };
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    return store.getActivities(conversationId, watermark);
+  }
+
+  /**
+   * Sends a user message to the bot and adds the message and the reply to the conversation.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} text - The text of the user message.
+   * @returns {{id: string}} The activity id of the user message.
+   */
+  async function sendMessage(conversationId, text) {
+    const conversation = store.get(conversationId);
+    const replies = await requestReply(conversation, text);
+    const activity = store.addUserMessage(conversation, text);
+    replies.forEach(reply => store.addBotMessage(conversation, reply, activity.id));
+    return { id: activity.id };
+  }
+
+  return { startConversation, getActivities, sendMessage, subscribe: store.subscribe };
+}
+
+module.exports = { createRasaBot };
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview This script contains the local rule-based bot backend, which replies to user
+ * messages with the first matching rule of a script.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createConversationStore, selectVariant } = require('./conversation-store');
+
+/**
+ * Creates the rule-based bot backend.
+ *
+ * - Provides the same functions as the Direct Line bot backend (see lib/bots/direct-line.js)
+ *   and keeps the activities in a conversation store (see lib/bots/conversation-store.js).
+ * - Replies to each user message with the text variant of the treatment group of the first
+ *   rule whose pattern matches the message, or with the fallback.
+ *
+ * @param {object} config - The rules of the backend (see config/rule-based-bot.js).
+ * @returns {object} The bot backend.
+ */
+function createRuleBasedBot(config) {
+  const store = createConversationStore();
+
+  /**
+   * Selects the text variant of a scripted message for the treatment group of the conversation.
+   *
+   * @param {object} conversation - The conversation.
+   * @param {object} message - The scripted message.
+   * @returns {{text: string, dialogueState: string, finalState: boolean}} The bot message.
+   */
+  function scriptedMessage(conversation, message) {
+    return { ...message, text: selectVariant(message.text, conversation.treatmentGroup) };
+  }
+
+  /**
+   * Starts a new conversation and adds the welcome message.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {{conversationId: string}} The conversation data with the conversationId.
+   */
+  async function startConversation(treatmentGroup) {
+    const conversation = store.create(treatmentGroup);
+    store.addBotMessage(conversation, scriptedMessage(conversation, config.welcome), null);
+    return { conversationId: conversation.id };
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    return store.getActivities(conversationId, watermark);
+  }
+
+  /**
+   * Adds a user message to the conversation and replies with the first matching rule.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} text - The text of the user message.
+   * @returns {{id: string}} The activity id of the user message.
+   */
+  async function sendMessage(conversationId, text) {
+    const conversation = store.get(conversationId);
+    const rule = config.rules.find(r => r.pattern.test(text)) || config.fallback;
+    const activity = store.addUserMessage(conversation, text);
+    store.addBotMessage(conversation, scriptedMessage(conversation, rule), activity.id);
+    return { id: activity.id };
+  }
+
+  return { startConversation, getActivities, sendMessage, subscribe: store.subscribe };
+}
+
+module.exports = { createRuleBasedBot };
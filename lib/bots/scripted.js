@@ -0,0 +1,170 @@
+/**
+ * @fileoverview This script contains the scripted dialogue engine, which conducts the
+ * conversation of the chatbot on the server according to a state machine, so that wording
+ * manipulations do not require a separate bot deployment.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createConversationStore, selectVariant } = require('./conversation-store');
+
+/**
+ * Creates the scripted bot backend.
+ *
+ * - Provides the same functions as the Direct Line bot backend (see lib/bots/direct-line.js)
+ *   and keeps the activities in a conversation store (see lib/bots/conversation-store.js).
+ * - Each conversation starts in the initialState of the dialogue. When a state is entered,
+ *   its messages are sent in the variant of the treatment group, followed by the messages
+ *   of its next state, if any.
+ * - A user message takes the first transition of the current state whose intent matches the
+ *   message. If no transition matches, the fallback of the state (or of the dialogue) is
+ *   sent and the conversation stays in the state.
+ * - Each bot message carries the name of the state as dialogueState and its final flag as
+ *   finalState in the channelData. The suggestedActions of a state are sent with its last
+ *   message as imBack actions, so that clicking one sends its title as user message.
+ *
+ * @param {object} dialogue - The state machine of the dialogue (see config/dialogue.js).
+ * @returns {object} The bot backend.
+ */
+function createScriptedBot(dialogue) {
+  validateDialogue(dialogue);
+  const store = createConversationStore();
+
+  /**
+   * Enters a state and sends its messages (and those of the following next states).
+   *
+   * @param {object} conversation - The conversation.
+   * @param {string} stateName - The name of the state.
+   * @param {string|null} replyToId - The activity id of the user message, if any.
+   */
+  function enterState(conversation, stateName, replyToId) {
+    let name = stateName;
+    while (name) {
+      const state = dialogue.states[name];
+      conversation.state = name;
+      state.messages.forEach((message, index) => sendBotMessage(conversation, message, replyToId,
+        index === state.messages.length - 1 ? state.suggestedActions : undefined));
+      name = state.next;
+    }
+  }
+
+  /**
+   * Sends a bot message in the current state of the conversation.
+   *
+   * @param {object} conversation - The conversation.
+   * @param {string|string[]} message - The message (or its variants per treatment group).
+   * @param {string|null} replyToId - The activity id of the user message, if any.
+   * @param {string[]} [suggestedActions] - The titles of the suggested actions of the message.
+   */
+  function sendBotMessage(conversation, message, replyToId, suggestedActions) {
+    store.addBotMessage(conversation, {
+      text: selectVariant(message, conversation.treatmentGroup),
+      dialogueState: conversation.state,
+      finalState: !!dialogue.states[conversation.state].final,
+      suggestedActions: (suggestedActions || []).map(title => ({ type: 'imBack', title, value: title }))
+    }, replyToId);
+  }
+
+  /**
+   * Starts a new conversation in the initial state of the dialogue.
+   *
+   * @async
+   * @param {number} treatmentGroup - The treatment group of the participant.
+   * @returns {{conversationId: string}} The conversation data with the conversationId.
+   */
+  async function startConversation(treatmentGroup) {
+    const conversation = store.create(treatmentGroup);
+    enterState(conversation, dialogue.initialState, null);
+    return { conversationId: conversation.id };
+  }
+
+  /**
+   * Retrieves the activities of a conversation since the watermark.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} watermark - The watermark of the last retrieval.
+   * @returns {{activities: object[], watermark: string}} The new activities.
+   */
+  async function getActivities(conversationId, watermark) {
+    return store.getActivities(conversationId, watermark);
+  }
+
+  /**
+   * Adds a user message to the conversation and takes the first matching transition of the
+   * current state, or sends the fallback.
+   *
+   * @async
+   * @param {string} conversationId - The id of the conversation.
+   * @param {string} text - The text of the user message.
+   * @returns {{id: string}} The activity id of the user message.
+   */
+  async function sendMessage(conversationId, text) {
+    const conversation = store.get(conversationId);
+    const state = dialogue.states[conversation.state];
+    const activity = store.addUserMessage(conversation, text);
+    const transition = (state.transitions || [])
+      .find(t => t.intent === '*' || matchesIntent(dialogue.intents[t.intent], text));
+    if (transition) {
+      enterState(conversation, transition.target, activity.id);
+    } else {
+      sendBotMessage(conversation, state.fallback || dialogue.fallback, activity.id);
+    }
+    return { id: activity.id };
+  }
+
+  return { startConversation, getActivities, sendMessage, subscribe: store.subscribe };
+}
+
+/**
+ * Checks whether a user message matches an intent.
+ *
+ * @param {{keywords?: string[], patterns?: RegExp[]}} intent - The intent.
+ * @param {string} text - The text of the user message.
+ * @returns {boolean} True if one of the keywords or patterns of the intent matches.
+ */
+function matchesIntent(intent, text) {
+  const normalizedText = text.toLowerCase();
+  return (intent.keywords || []).some(keyword => normalizedText.includes(keyword.toLowerCase())) ||
+    (intent.patterns || []).some(pattern => pattern.test(text));
+}
+
+/**
+ * Checks the state machine of the dialogue when the backend is created, so that errors in the
+ * dialogue file are noticed at the start of the server and not during a conversation.
+ *
+ * @param {object} dialogue - The state machine of the dialogue.
+ * @throws {Error} If a state, transition target, next state or intent does not exist, a
+ * state has no messages or the next states form a cycle.
+ */
+function validateDialogue(dialogue) {
+  const states = dialogue.states || {};
+  if (!states[dialogue.initialState]) {
+    throw new Error(`Unknown initial state of the dialogue: ${dialogue.initialState}`);
+  }
+  Object.entries(states).forEach(([name, state]) => {
+    if (!Array.isArray(state.messages) || state.messages.length === 0) {
+      throw new Error(`Dialogue state without messages: ${name}`);
+    }
+    const visited = new Set([name]);
+    for (let next = state.next; next; next = states[next].next) {
+      if (!states[next]) {
+        throw new Error(`Unknown next state in the dialogue: ${next}`);
+      }
+      if (visited.has(next)) {
+        throw new Error(`Cycle of next states in the dialogue state ${name}`);
+      }
+      visited.add(next);
+    }
+    (state.transitions || []).forEach(transition => {
+      if (transition.intent !== '*' && !(dialogue.intents || {})[transition.intent]) {
+        throw new Error(`Unknown intent in the dialogue state ${name}: ${transition.intent}`);
+      }
+      if (!states[transition.target]) {
+        throw new Error(`Unknown target state in the dialogue state ${name}: ${transition.target}`);
+      }
+    });
+  });
+}
+
+module.exports = { createScriptedBot };
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview This script contains the email subsystem, which stores the email addresses of
+ * the raffle so that they cannot be linked to the survey responses: the addresses are encrypted,
+ * collected in batches and stored in random order without timestamps.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**************************************************************************
+ * Encryption of the email addresses
+ **************************************************************************/
+
+/**
+ * Encrypts an email address.
+ *
+ * - Uses AES-256-GCM with a random initialization vector, so that the same email address is
+ *   encrypted differently each time.
+ * - The encrypted email address consists of the initialization vector, the authentication tag
+ *   and the ciphertext (each base64url encoded), separated by dots.
+ *
+ * @param {string} email - The email address.
+ * @param {string} secret - The secret key of the encryption.
+ * @returns {string} The encrypted email address.
+ */
+function encryptEmail(email, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(email, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypts an email address.
+ *
+ * - Email addresses which were stored before the encryption was introduced (recognizable by
+ *   the @, which does not occur in encrypted email addresses) are returned unchanged.
+ * - Throws an error if the email address was not encrypted with the secret key.
+ *
+ * @param {string} value - The stored email address.
+ * @param {string} secret - The secret key of the encryption.
+ * @returns {string} The email address.
+ */
+function decryptEmail(value, secret) {
+  if (value.includes('@')) return value;
+  const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part || '', 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Derives the 256-bit key of the encryption from the secret key.
+ *
+ * @param {string} secret - The secret key of the encryption.
+ * @returns {Buffer} The key.
+ */
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**************************************************************************
+ * Batches of email addresses
+ **************************************************************************/
+
+/**
+ * Creates the batch in which the submitted email addresses are collected before they are stored.
+ *
+ * - Encrypts each email address when it is added and stores it as pending email address (see
+ *   addPendingEmail in lib/storage), so that it is not lost if the server crashes.
+ * - When the batch has reached the batch size, the pending email addresses are moved to the
+ *   stored email addresses in random order, so that neither the time nor the order in which the
+ *   email addresses are stored reveals which participant submitted which email address.
+ * - Stores an incomplete batch after the maximum wait since its first email address (e.g. when
+ *   only a few participants take part on a day). After a restart of the server, the maximum wait
+ *   starts again for the email addresses which are still pending (see resume).
+ * - If the batch cannot be stored, the email addresses remain pending and are stored with the
+ *   next batch.
+ *
+ * @param {object} storage - The storage backend (see lib/storage).
+ * @param {{secret: string, batchSize: number, maxWait: number}} options - The secret key of the
+ * encryption, the number of email addresses per batch and the maximum time in milliseconds an
+ * email address is kept pending.
+ * @returns {{add: Function, resume: Function}} The batch.
+ */
+function createEmailBatch(storage, options) {
+  let timer = null;
+
+  /**
+   * Adds a submitted email address to the batch and stores the batch if it is complete.
+   *
+   * @async
+   * @param {string} email - The email address.
+   * @returns {Promise<void>}
+   */
+  async function add(email) {
+    const pendingCount = await storage.addPendingEmail(encryptEmail(email, options.secret));
+    if (pendingCount >= options.batchSize) {
+      await flush();
+    } else {
+      scheduleFlush();
+    }
+  }
+
+  /**
+   * Stores the pending email addresses in random order.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      await storage.flushPendingEmails(shuffle);
+    } catch (error) {
+      console.error('Error saving a batch of emails:', error);
+    }
+  }
+
+  /**
+   * Schedules the storage of the pending email addresses which were submitted before the server
+   * was restarted.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function resume() {
+    if (await storage.countPendingEmails() > 0) {
+      scheduleFlush();
+    }
+  }
+
+  /**
+   * Schedules the storage of an incomplete batch after the maximum wait, unless it has already
+   * been scheduled.
+   *
+   * @returns {void}
+   */
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => flush(), options.maxWait);
+    timer.unref();
+  }
+
+  return { add, resume };
+}
+
+/**************************************************************************
+ * Raffle
+ **************************************************************************/
+
+/**
+ * Draws the winners of the raffle.
+ *
+ * - Each email address takes part once, even if it has been submitted several times (compared
+ *   without case and surrounding whitespace).
+ * - The winners are drawn with a cryptographically secure random number generator.
+ *
+ * @param {string[]} emails - The decrypted email addresses.
+ * @param {number} count - The number of winners.
+ * @returns {string[]} The email addresses of the winners.
+ */
+function drawWinners(emails, count) {
+  const unique = Array.from(new Map(emails.map(email => [email.trim().toLowerCase(), email.trim()])).values());
+  return shuffle(unique).slice(0, count);
+}
+
+/**
+ * Shuffles an array (Fisher-Yates) with a cryptographically secure random number generator.
+ *
+ * @param {Array} items - The array to be shuffled.
+ * @returns {Array} A shuffled copy of the array.
+ */
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = { encryptEmail, decryptEmail, createEmailBatch, drawWinners, shuffle };
@@ -0,0 +1,500 @@
+/**
+ * @fileoverview This script contains the export of the survey responses as analysis-ready
+ * files (csv data, spss syntax and a codebook for R and Stata).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { computeScaleScore, computeReliability } = require('./scoring');
+
+/**************************************************************************
+ * Export variables
+ **************************************************************************/
+
+/**
+ * Creates the list of variables of the export from the survey definition.
+ *
+ * - Starts with the metadata of the participant (participantId, treatmentGroup and the
+ *   duration of the survey session).
+ * - Adds one variable per question and per free text field of the survey definition. The
+ *   names of the variables are the names of the inputs with underscores instead of hyphens,
+ *   since hyphens are not allowed in spss, R and Stata variable names.
+ * - Scale questions are exported with their numeric values. Choice questions are coded with
+ *   the position of the selected option (starting at 1), the option labels are kept as value
+ *   labels.
+ * - Adds the mean scale score of each construct (see lib/scoring.js), in which reverse-coded
+ *   items are recoded. The item columns contain the raw values.
+ * - Ends with the metrics of the conversation with the chatbot.
+ *
+ * Each variable has the following attributes:
+ * - name: the name of the variable in the export.
+ * - label: the variable label (e.g. the question text).
+ * - type: 'numeric' or 'string'.
+ * - measurement: the measurement level ('nominal', 'ordinal' or 'scale').
+ * - values: optional; the value labels as array of {code, label} objects.
+ * - value: a function which returns the value of the variable for a response.
+ *
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {Array<object>} The variables of the export.
+ */
+function getExportVariables(surveyDefinition) {
+  const variables = [
+    {
+      name: 'participant_id', label: 'Participant id', type: 'string', measurement: 'nominal',
+      value: response => response.participantId
+    },
+    {
+      name: 'treatment_group', label: 'Treatment group', type: 'numeric', measurement: 'nominal',
+      value: response => response.treatmentGroup
+    },
+    {
+      name: 'duration_seconds', label: 'Duration of the survey session in seconds', type: 'numeric', measurement: 'scale',
+      value: response => response.durationSeconds
+    }
+  ];
+
+  const questions = surveyDefinition.pages.flatMap(page => page.questions || []);
+  questions.forEach(question => {
+    if (question.type === 'choice') {
+      variables.push({
+        name: toVariableName(question.name), label: question.text, type: 'numeric', measurement: 'nominal',
+        values: question.options.map((option, index) => ({ code: index + 1, label: option.label })),
+        value: response => {
+          const index = question.options.findIndex(option => option.value === response.data[question.name]);
+          return index === -1 ? null : index + 1;
+        }
+      });
+      question.options.filter(option => option.extraInput).forEach(option => {
+        variables.push({
+          name: toVariableName(option.extraInput.name), label: option.extraInput.label, type: 'string', measurement: 'nominal',
+          value: response => response.data[option.extraInput.name] || null
+        });
+      });
+    } else {
+      const scale = surveyDefinition.scales[question.scale];
+      variables.push({
+        name: toVariableName(question.name), label: getQuestionLabel(question), type: 'numeric', measurement: 'ordinal',
+        values: getScaleValueLabels(question, scale),
+        value: response => {
+          const value = parseInt(response.data[question.name], 10);
+          return Number.isInteger(value) ? value : null;
+        }
+      });
+    }
+  });
+
+  return variables.concat(getScoreVariables(surveyDefinition), getConversationVariables());
+}
+
+/**
+ * Creates the variables with the mean scale scores of the constructs.
+ *
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {Array<object>} The score variables of the export.
+ */
+function getScoreVariables(surveyDefinition) {
+  return (surveyDefinition.constructs || []).map(construct => {
+    const reverseCoded = construct.reverseCoded || [];
+    return {
+      name: `score_${toVariableName(construct.name)}`,
+      label: `Mean score ${construct.label}` + (reverseCoded.length > 0 ? ` (reverse-coded: ${reverseCoded.join(', ')})` : ''),
+      type: 'numeric', measurement: 'scale',
+      value: response => computeScaleScore(response.data, construct, surveyDefinition)
+    };
+  });
+}
+
+/**
+ * Creates the variables with the metrics of the conversation with the chatbot.
+ *
+ * @returns {Array<object>} The conversation variables of the export.
+ */
+function getConversationVariables() {
+  return [
+    {
+      name: 'conv_user_messages', label: 'Number of messages of the participant', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.userMessages
+    },
+    {
+      name: 'conv_undelivered_messages', label: 'Number of messages of the participant which did not reach the chatbot', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.undeliveredMessages
+    },
+    {
+      name: 'conv_bot_messages', label: 'Number of messages of the chatbot', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.botMessages
+    },
+    {
+      name: 'conv_user_words', label: 'Number of words written by the participant', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.userWords
+    },
+    {
+      name: 'conv_mean_user_words', label: 'Mean number of words per message of the participant', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.meanUserWords
+    },
+    {
+      name: 'conv_mean_typing_delay', label: 'Mean applied typing delay of the chatbot messages (ms)', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.meanTypingDelay
+    },
+    {
+      name: 'conv_mean_latency', label: 'Mean latency of the chatbot replies until their arrival at the client (ms)', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.meanLatency
+    },
+    {
+      name: 'conv_action_clicks', label: 'Number of clicks on suggested actions, card buttons and links', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.actionClicks
+    },
+    {
+      name: 'conv_dialogue_states', label: 'Number of dialogue states reached', type: 'numeric', measurement: 'scale',
+      value: response => response.conversation.dialogueStates
+    },
+    {
+      name: 'conv_last_dialogue_state', label: 'Last dialogue state reached', type: 'string', measurement: 'nominal',
+      value: response => response.conversation.lastDialogueState
+    }
+  ];
+}
+
+/**
+ * Converts the name of an input into a variable name which is valid in spss, R and Stata.
+ *
+ * @param {string} name - The name of the input.
+ * @returns {string} The variable name.
+ */
+function toVariableName(name) {
+  return name.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Creates the variable label of a scale question.
+ *
+ * - Semantic differentials are labelled with their anchors, all other questions with their
+ *   text. Line breaks of the anchors are removed.
+ *
+ * @param {object} question - The question from the survey definition.
+ * @returns {string} The variable label.
+ */
+function getQuestionLabel(question) {
+  if (question.type === 'differential') {
+    return `${stripHtml(question.anchors.left)} - ${stripHtml(question.anchors.right)}`;
+  }
+  return question.text;
+}
+
+/**
+ * Creates the value labels of a scale question.
+ *
+ * - Scales with point labels are labelled with these labels, semantic differentials with
+ *   their anchors at the lowest and highest value.
+ *
+ * @param {object} question - The question from the survey definition.
+ * @param {{points: number, labels: string[]}} scale - The answer scale of the question.
+ * @returns {Array<{code: number, label: string}>} The value labels.
+ */
+function getScaleValueLabels(question, scale) {
+  const labels = scale.labels || Array.from({ length: scale.points }, (_, i) => {
+    if (i === 0) return stripHtml(question.anchors.left);
+    if (i === scale.points - 1) return stripHtml(question.anchors.right);
+    return null;
+  });
+  return labels
+    .map((label, index) => ({ code: index + 1, label }))
+    .filter(valueLabel => valueLabel.label !== null);
+}
+
+/**
+ * Removes the html line breaks and hyphenations from an anchor of the survey definition.
+ *
+ * @param {string} text - The anchor text.
+ * @returns {string} The plain text.
+ */
+function stripHtml(text) {
+  return text.replace(/-<br>/g, '').replace(/<br>/g, ' ');
+}
+
+/**************************************************************************
+ * Export data
+ **************************************************************************/
+
+/**
+ * Loads the submitted survey responses from the database.
+ *
+ * - Joins the session registry to determine the duration of the survey session.
+ * - Parses the response data and computes the conversation metrics of each response.
+ *
+ * @async
+ * @param {object} pool - The database connection pool.
+ * @returns {Array<object>} The survey responses.
+ */
+async function loadResponses(pool) {
+  const result = await pool.query(`
+    SELECT r.participant_id, r.treatment_group, r.response_data, r.conversation_log,
+      EXTRACT(EPOCH FROM (s.updated_at - s.started_at)) AS duration_seconds
+    FROM survey_responses r
+    LEFT JOIN survey_sessions s ON s.participant_id = r.participant_id AND s.completed
+    ORDER BY r.participant_id
+  `);
+  return result.rows.map(row => ({
+    participantId: row.participant_id,
+    treatmentGroup: row.treatment_group,
+    durationSeconds: row.duration_seconds === null ? null : Math.round(Number(row.duration_seconds)),
+    data: typeof row.response_data === 'string' ? JSON.parse(row.response_data) : (row.response_data || {}),
+    conversation: getConversationMetrics(row.conversation_log)
+  }));
+}
+
+/**
+ * Computes the metrics of a conversation with the chatbot.
+ *
+ * - The conversation log is the conversation state of the client (see chatbot.js) as a json
+ *   string. If it cannot be parsed, all metrics are missing.
+ * - Counts the messages of the participant and the chatbot, the words of the participant and
+ *   the dialogue states reached.
+ * - Counts the messages of the participant whose delivery status is not 'delivered', i.e. which
+ *   were still queued or had failed when the survey was submitted (see sendUserMessage in
+ *   chatbot.js). Messages logged without a status are counted as delivered.
+ * - Averages the typing delays which were applied to the messages of the chatbot (see
+ *   holdBotMessage in chatbot.js). Messages logged without a delay are not included.
+ * - Averages the latencies of the messages of the chatbot, i.e. the time from sending the user
+ *   message until the reply arrived at the client (see getBotMessageTiming in chatbot.js).
+ *   Messages logged without a latency (e.g. the welcome message) are not included.
+ * - Counts the logged clicks on suggested actions, card buttons and links (see logActionClick
+ *   in chatbot.js).
+ *
+ * @param {string} conversationLog - The conversation log.
+ * @returns {object} The conversation metrics.
+ */
+function getConversationMetrics(conversationLog) {
+  let conversation;
+  try {
+    conversation = JSON.parse(conversationLog);
+  } catch (error) {
+    return { userMessages: null, undeliveredMessages: null, botMessages: null, userWords: null, meanUserWords: null,
+      meanTypingDelay: null, meanLatency: null, actionClicks: null, dialogueStates: null, lastDialogueState: null };
+  }
+
+  const messages = conversation.messages || [];
+  const dialogueStates = conversation.dialogueStates || [];
+  const userMessages = messages.filter(message => message.from === 'user');
+  const userWords = userMessages
+    .map(message => (message.text || '').trim().split(/\s+/).filter(Boolean).length)
+    .reduce((sum, words) => sum + words, 0);
+  const typingDelays = messages
+    .filter(message => message.from === 'bot' && typeof message.appliedDelay === 'number')
+    .map(message => message.appliedDelay);
+  const latencies = messages
+    .filter(message => message.from === 'bot' && typeof message.latency === 'number')
+    .map(message => message.latency);
+
+  return {
+    userMessages: userMessages.length,
+    undeliveredMessages: userMessages.filter(message => message.status !== undefined && message.status !== 'delivered').length,
+    botMessages: messages.filter(message => message.from === 'bot').length,
+    userWords,
+    meanUserWords: userMessages.length > 0 ? Math.round(userWords / userMessages.length * 100) / 100 : null,
+    meanTypingDelay: typingDelays.length > 0
+      ? Math.round(typingDelays.reduce((sum, delay) => sum + delay, 0) / typingDelays.length)
+      : null,
+    meanLatency: latencies.length > 0
+      ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+      : null,
+    actionClicks: (conversation.actionClicks || []).length,
+    dialogueStates: new Set(dialogueStates.map(([, state]) => state)).size,
+    lastDialogueState: dialogueStates.length > 0 ? dialogueStates[dialogueStates.length - 1][1] : null
+  };
+}
+
+/**************************************************************************
+ * Export formats
+ **************************************************************************/
+
+/**
+ * Creates the csv file with one row per survey response and one column per variable.
+ *
+ * - Missing values are written as empty cells.
+ *
+ * @param {Array<object>} variables - The variables of the export.
+ * @param {Array<object>} responses - The survey responses.
+ * @returns {string} The csv file.
+ */
+function toCsv(variables, responses) {
+  const lines = [variables.map(variable => escapeCsv(variable.name)).join(',')];
+  responses.forEach(response => {
+    lines.push(variables.map(variable => escapeCsv(variable.value(response))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Creates the spss syntax which reads the csv file and applies the variable labels, value
+ * labels and measurement levels.
+ *
+ * @param {Array<object>} variables - The variables of the export.
+ * @param {string} dataFile - The file name of the csv file.
+ * @returns {string} The spss syntax.
+ */
+function toSpssSyntax(variables, dataFile) {
+  const lines = [
+    '* Encoding: UTF-8.',
+    `GET DATA /TYPE=TXT /FILE='${escapeSpss(dataFile)}' /ENCODING='UTF8'`,
+    '  /ARRANGEMENT=DELIMITED /DELIMITERS="," /QUALIFIER=\'"\' /FIRSTCASE=2',
+    '  /VARIABLES=',
+    ...variables.map(variable => `    ${variable.name} ${getSpssFormat(variable)}`),
+    '.',
+    'VARIABLE LABELS',
+    '  ' + variables.map(variable => `${variable.name} '${escapeSpss(variable.label)}'`).join('\n  /') + '.'
+  ];
+
+  const labelled = variables.filter(variable => variable.values);
+  if (labelled.length > 0) {
+    lines.push('VALUE LABELS');
+    lines.push('  ' + labelled.map(variable => `${variable.name} ` +
+      variable.values.map(value => `${value.code} '${escapeSpss(value.label)}'`).join(' ')).join('\n  /') + '.');
+  }
+
+  ['nominal', 'ordinal', 'scale'].forEach(measurement => {
+    const names = variables.filter(variable => variable.measurement === measurement).map(variable => variable.name);
+    if (names.length > 0) {
+      lines.push(`VARIABLE LEVEL ${names.join(' ')} (${measurement.toUpperCase()}).`);
+    }
+  });
+  lines.push('EXECUTE.');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Determines the spss format of a variable: strings with up to 255 characters, integer values
+ * for coded variables and two decimals for metric variables.
+ *
+ * @param {object} variable - The variable of the export.
+ * @returns {string} The spss format.
+ */
+function getSpssFormat(variable) {
+  if (variable.type === 'string') {
+    return 'A255';
+  }
+  return variable.measurement === 'scale' ? 'F8.2' : 'F8.0';
+}
+
+/**
+ * Creates the codebook as csv file in long format, which can be read with R (read.csv) and
+ * Stata (import delimited).
+ *
+ * - Contains one row per value label and one row for each variable without value labels.
+ *
+ * @param {Array<object>} variables - The variables of the export.
+ * @returns {string} The codebook.
+ */
+function toCodebook(variables) {
+  const lines = ['variable,label,type,measurement,value,value_label'];
+  variables.forEach(variable => {
+    const values = variable.values || [{ code: null, label: null }];
+    values.forEach(value => {
+      lines.push([variable.name, variable.label, variable.type, variable.measurement, value.code, value.label]
+        .map(escapeCsv).join(','));
+    });
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Creates the csv file with the reliability statistics (number of complete cases, mean,
+ * standard deviation and Cronbach's alpha) of each construct.
+ *
+ * @param {Array<object>} reliability - The statistics per construct (see lib/scoring.js).
+ * @returns {string} The csv file.
+ */
+function toReliabilityCsv(reliability) {
+  const lines = ['construct,label,items,reverse_coded,n,mean,sd,alpha'];
+  reliability.forEach(row => {
+    lines.push([`score_${toVariableName(row.construct)}`, row.label, row.items.join(' '), row.reverseCoded.join(' '),
+      row.n, row.mean, row.sd, row.alpha].map(escapeCsv).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes a value for a csv cell. Missing values (null or undefined) become empty cells.
+ *
+ * - Texts which start with =, +, -, @, a tab or a carriage return (e.g. free text answers) are
+ *   prefixed with ', so that spreadsheet programs do not execute them as formulas. Numbers
+ *   are not prefixed.
+ *
+ * @param {string|number|null} value - The value.
+ * @returns {string} The escaped value.
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes a text for a quoted string in the spss syntax.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeSpss(text) {
+  return String(text).replace(/'/g, "''").replace(/\s+/g, ' ');
+}
+
+/**************************************************************************
+ * Export router
+ **************************************************************************/
+
+/**
+ * Creates the router of the data export.
+ *
+ * - The router is mounted in the admin area and is therefore only accessible with the admin
+ *   password (see lib/admin.js).
+ * - Provides the survey responses as csv file (/responses.csv), the spss syntax which reads
+ *   this file (/responses.sps), the codebook (/codebook.csv) and the reliability statistics
+ *   of the constructs (/scales.csv).
+ *
+ * @param {object} pool - The database connection pool.
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {object} The express router of the data export.
+ */
+function createExportRouter(pool, surveyDefinition) {
+  const router = express.Router();
+  const variables = getExportVariables(surveyDefinition);
+
+  router.get('/responses.csv', async (req, res) => {
+    try {
+      const responses = await loadResponses(pool);
+      res.attachment('responses.csv').type('text/csv; charset=utf-8').send(toCsv(variables, responses));
+    } catch (error) {
+      console.error('Error when exporting the survey responses:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  router.get('/responses.sps', (req, res) => {
+    res.attachment('responses.sps').type('text/plain; charset=utf-8').send(toSpssSyntax(variables, 'responses.csv'));
+  });
+
+  router.get('/codebook.csv', (req, res) => {
+    res.attachment('codebook.csv').type('text/csv; charset=utf-8').send(toCodebook(variables));
+  });
+
+  router.get('/scales.csv', async (req, res) => {
+    try {
+      const responses = await loadResponses(pool);
+      const reliability = computeReliability(responses.map(response => response.data), surveyDefinition);
+      res.attachment('scales.csv').type('text/csv; charset=utf-8').send(toReliabilityCsv(reliability));
+    } catch (error) {
+      console.error('Error when exporting the scale reliability:', error);
+      res.status(500).json({ error: 'Internal server error.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createExportRouter };
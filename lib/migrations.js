@@ -0,0 +1,354 @@
+/**
+ * @fileoverview This script contains the migrations of the database schema, which create and
+ * version the tables of the study when the server is started (see runMigrations and
+ * applyMigrations).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { storeNormalizedResponse } = require('./responses');
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - migrationLockId @type {number}: the key of the postgreSQL advisory lock which prevents that
+ *   several server instances migrate the database at the same time.
+ * - migrations @type {Array<{version: number, name: string, up: Function}>}: the migrations of
+ *   the database schema in the order in which they are applied. Each migration is applied once
+ *   and recorded with its version in the schema_migrations table. New migrations are appended
+ *   with the next version; applied migrations must not be changed. The migrations are written
+ *   for postgreSQL and are also applied to SQLite databases (see lib/storage/sqlite.js, whose
+ *   client translates the column types); each migration receives the dialect ('postgres' or
+ *   'sqlite') for the statements which differ between the databases.
+ */
+const migrationLockId = 724310591;
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create survey tables',
+    up: async client => {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS survey_responses (
+          id               SERIAL PRIMARY KEY,
+          participant_id   TEXT NOT NULL,
+          treatment_group  INTEGER NOT NULL,
+          response_data    JSONB,
+          conversation_log TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS emails (
+          id            SERIAL PRIMARY KEY,
+          email_address TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS survey_sessions (
+          participant_id   TEXT PRIMARY KEY,
+          treatment_group  INTEGER,
+          current_page     INTEGER NOT NULL,
+          furthest_page    INTEGER NOT NULL,
+          partial_data     JSONB,
+          conversation_log TEXT,
+          client_state     JSONB,
+          resume_code      TEXT UNIQUE,
+          completed        BOOLEAN NOT NULL DEFAULT FALSE,
+          started_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'add paradata',
+    up: async (client, dialect) => {
+      // SQLite does not support IF NOT EXISTS for columns. SQLite databases are always created
+      // by the migrations (see applyMigrations), so the column does not exist yet.
+      const ifNotExists = dialect === 'sqlite' ? '' : 'IF NOT EXISTS ';
+      await client.query(`ALTER TABLE survey_responses ADD COLUMN ${ifNotExists}paradata JSONB`);
+    }
+  },
+  {
+    version: 3,
+    name: 'add indexes',
+    up: async client => {
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS survey_responses_participant_id_idx ON survey_responses (participant_id);
+        CREATE INDEX IF NOT EXISTS survey_responses_treatment_group_idx ON survey_responses (treatment_group);
+        CREATE INDEX IF NOT EXISTS survey_sessions_updated_at_idx ON survey_sessions (completed, updated_at);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'create normalized tables',
+    up: async client => {
+      await client.query(`
+        CREATE TABLE participants (
+          participant_id  TEXT PRIMARY KEY,
+          treatment_group INTEGER NOT NULL
+        );
+
+        CREATE TABLE answers (
+          participant_id TEXT NOT NULL REFERENCES participants (participant_id) ON DELETE CASCADE,
+          item           TEXT NOT NULL,
+          value          TEXT NOT NULL,
+          PRIMARY KEY (participant_id, item)
+        );
+        CREATE INDEX answers_item_idx ON answers (item, value);
+
+        CREATE TABLE conversations (
+          id                  SERIAL PRIMARY KEY,
+          participant_id      TEXT NOT NULL UNIQUE REFERENCES participants (participant_id) ON DELETE CASCADE,
+          conversation_id     TEXT,
+          last_dialogue_state TEXT,
+          action_clicks       INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE TABLE messages (
+          conversation       INTEGER NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+          position           INTEGER NOT NULL,
+          sender             TEXT NOT NULL CHECK (sender IN ('user', 'bot')),
+          text               TEXT,
+          activity_id        TEXT,
+          client_side_msg_id TEXT,
+          status             TEXT,
+          dialogue_state     TEXT,
+          created_at         TIMESTAMPTZ,
+          client_sent_at     TIMESTAMPTZ,
+          server_received_at TIMESTAMPTZ,
+          activity_timestamp TIMESTAMPTZ,
+          arrived_at         TIMESTAMPTZ,
+          rendered_at        TIMESTAMPTZ,
+          typing_duration    INTEGER,
+          typing_delay       INTEGER,
+          applied_delay      INTEGER,
+          latency            INTEGER,
+          PRIMARY KEY (conversation, position)
+        );
+        CREATE INDEX messages_sender_idx ON messages (sender);
+        CREATE INDEX messages_dialogue_state_idx ON messages (dialogue_state);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'fill normalized tables with existing responses',
+    up: async client => {
+      const result = await client.query(`
+        SELECT participant_id, treatment_group, response_data, conversation_log
+        FROM survey_responses
+        ORDER BY id
+      `);
+      for (const row of result.rows) {
+        await storeNormalizedResponse(client, {
+          participantId: row.participant_id,
+          treatmentGroup: row.treatment_group,
+          responseData: typeof row.response_data === 'string' ? JSON.parse(row.response_data) : row.response_data,
+          conversationLog: row.conversation_log
+        });
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'make participant ids of survey responses unique',
+    up: async client => {
+      // Only the first survey response of each participant is kept. The later survey responses
+      // (repeated submissions) are moved to the survey_responses_duplicates table and logged
+      // before the participant ids are made unique.
+      const duplicateCondition = 'id NOT IN (SELECT MIN(id) FROM survey_responses GROUP BY participant_id)';
+      const duplicates = await client.query(
+        `SELECT id, participant_id FROM survey_responses WHERE ${duplicateCondition} ORDER BY id`
+      );
+      if (duplicates.rows.length > 0) {
+        await client.query(`CREATE TABLE survey_responses_duplicates AS SELECT * FROM survey_responses WHERE ${duplicateCondition}`);
+        await client.query(`DELETE FROM survey_responses WHERE ${duplicateCondition}`);
+        console.log(`Moved ${duplicates.rows.length} duplicate survey responses to survey_responses_duplicates: ` +
+          duplicates.rows.map(row => `${row.id} (${row.participant_id})`).join(', '));
+      }
+      await client.query('DROP INDEX IF EXISTS survey_responses_participant_id_idx');
+      await client.query('CREATE UNIQUE INDEX survey_responses_participant_id_key ON survey_responses (participant_id)');
+    }
+  },
+  {
+    version: 7,
+    name: 'remove the insertion order of emails',
+    up: async (client, dialect) => {
+      if (dialect === 'sqlite') {
+        // SQLite cannot drop a primary key column, so the table is rebuilt without it.
+        await client.query('CREATE TABLE emails_without_id (email_address TEXT NOT NULL)');
+        await client.query('INSERT INTO emails_without_id (email_address) SELECT email_address FROM emails');
+        await client.query('DROP TABLE emails');
+        await client.query('ALTER TABLE emails_without_id RENAME TO emails');
+        return;
+      }
+      await client.query('ALTER TABLE emails DROP COLUMN IF EXISTS id');
+    }
+  },
+  {
+    version: 8,
+    name: 'recode the reversed values of empathy-4',
+    up: async (client, dialect) => {
+      // Until the reverse coding was moved to the scoring (see lib/scoring.js), empathy-4 was
+      // stored with reversed values (5 = "Stimme überhaupt nicht zu"). The stored values are
+      // recoded to the raw values (1 = "Stimme überhaupt nicht zu"), so that they are not
+      // reversed twice when the scale scores are computed. SQLite databases were introduced
+      // after the scoring change and only contain raw values.
+      if (dialect === 'sqlite') return;
+      const item = 'empathy-4';
+      const points = 5;
+      const recode = data => {
+        const value = parseInt(data[item], 10);
+        if (Number.isInteger(value) && value >= 1 && value <= points) {
+          data[item] = String(points + 1 - value);
+        }
+        return data;
+      };
+      const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+      const responses = await client.query('SELECT id, response_data FROM survey_responses');
+      for (const row of responses.rows) {
+        const data = parse(row.response_data);
+        if (!data || data[item] === undefined) continue;
+        await client.query('UPDATE survey_responses SET response_data = $1 WHERE id = $2',
+          [JSON.stringify(recode(data)), row.id]);
+      }
+
+      const values = Array.from({ length: points }, (_, i) => String(i + 1));
+      await client.query(`
+        UPDATE answers SET value = ($3 - value::INTEGER)::TEXT
+        WHERE item = $1 AND value = ANY($2::TEXT[])
+      `, [item, values, points + 1]);
+
+      const sessions = await client.query('SELECT participant_id, partial_data, client_state FROM survey_sessions');
+      for (const row of sessions.rows) {
+        const partialData = parse(row.partial_data);
+        const clientState = parse(row.client_state);
+        const formData = clientState && clientState.formData ? JSON.parse(clientState.formData) : null;
+        const inPartialData = partialData && partialData[item] !== undefined;
+        const inClientState = formData && formData[item] !== undefined;
+        if (!inPartialData && !inClientState) continue;
+        if (inPartialData) recode(partialData);
+        if (inClientState) clientState.formData = JSON.stringify(recode(formData));
+        await client.query('UPDATE survey_sessions SET partial_data = $1, client_state = $2 WHERE participant_id = $3',
+          [JSON.stringify(partialData), JSON.stringify(clientState), row.participant_id]);
+      }
+    }
+  },
+  {
+    version: 9,
+    name: 'create pending emails',
+    up: async client => {
+      await client.query(`
+        CREATE TABLE pending_emails (
+          email_address TEXT NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 10,
+    name: 'add submission time',
+    up: async (client, dialect) => {
+      // The responses which have already been stored receive the time of the last checkpoint of
+      // their completed session (null without a session). SQLite does not support a default
+      // value of NOW() for added columns, so the submission time is always set on insert (see
+      // saveResponse in lib/storage).
+      await client.query('ALTER TABLE survey_responses ADD COLUMN submitted_at TIMESTAMPTZ');
+      await client.query(`
+        UPDATE survey_responses SET submitted_at = (
+          SELECT updated_at FROM survey_sessions
+          WHERE survey_sessions.participant_id = survey_responses.participant_id AND survey_sessions.completed
+        )
+      `);
+      if (dialect !== 'sqlite') {
+        await client.query('ALTER TABLE survey_responses ALTER COLUMN submitted_at SET DEFAULT NOW()');
+      }
+    }
+  }
+];
+
+/**************************************************************************
+ * Migration runner
+ **************************************************************************/
+
+/**
+ * Applies the pending migrations of the postgreSQL database.
+ *
+ * - This function is called when the postgreSQL storage backend is initialized before the
+ *   server is started (see lib/storage/postgres.js).
+ * - Holds an advisory lock while migrating, so that server instances which are started at the
+ *   same time apply each migration only once.
+ * - The tables of the first migrations are created with IF NOT EXISTS, so that databases which
+ *   were set up before the migrations are adopted without changes.
+ *
+ * @async
+ * @param {object} pool - The connection pool of the database.
+ * @returns {Promise<number[]>} The versions of the applied migrations.
+ */
+async function runMigrations(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [migrationLockId]);
+    return await applyMigrations(client, 'postgres');
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [migrationLockId]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Applies the pending migrations of the database schema with a database client.
+ *
+ * - Creates the schema_migrations table, which records the applied migrations, if it does not
+ *   exist yet.
+ * - Applies each pending migration in its own transaction and records it in the same
+ *   transaction, so that a failed migration is rolled back completely and applied again at the
+ *   next start. The migrations after a failed migration are not applied.
+ * - The migrations up to the baseline version are only recorded, not applied (e.g. for SQLite
+ *   databases whose tables were created before the migrations were applied to SQLite, see
+ *   lib/storage/sqlite.js).
+ *
+ * @async
+ * @param {{query: Function}} client - The database client.
+ * @param {string} dialect - The database: 'postgres' or 'sqlite'.
+ * @param {number} [baselineVersion=0] - The version up to which the schema already exists.
+ * @returns {Promise<number[]>} The versions of the applied migrations.
+ */
+async function applyMigrations(client, dialect, baselineVersion = 0) {
+  const applied = [];
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  const result = await client.query('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(result.rows.map(row => row.version));
+
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) continue;
+    try {
+      await client.query('BEGIN');
+      if (migration.version > baselineVersion) {
+        await migration.up(client, dialect);
+      }
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+      throw error;
+    }
+    if (migration.version > baselineVersion) {
+      console.log(`Applied migration ${migration.version}: ${migration.name}`);
+      applied.push(migration.version);
+    }
+  }
+  return applied;
+}
+
+module.exports = { runMigrations, applyMigrations, migrations };
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview This script contains the storage of the submitted survey responses in the
+ * normalized tables of the database (participants, answers, conversations and messages), so
+ * that the answers and messages can be queried without parsing the json columns of the
+ * survey_responses table (see lib/migrations.js for the schema).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - messageColumns @type {string[]}: the columns of the messages table which are filled from
+ *   the conversation log, in the order of the values in storeNormalizedResponse.
+ */
+const messageColumns = [
+  'conversation', 'position', 'sender', 'text', 'activity_id', 'client_side_msg_id', 'status',
+  'dialogue_state', 'created_at', 'client_sent_at', 'server_received_at', 'activity_timestamp',
+  'arrived_at', 'rendered_at', 'typing_duration', 'typing_delay', 'applied_delay', 'latency'
+];
+
+/**************************************************************************
+ * Normalized survey responses
+ **************************************************************************/
+
+/**
+ * Stores a submitted survey response in the normalized tables.
+ *
+ * - This function is called by the postgreSQL and SQLite storage backends (within the
+ *   transaction which inserts the survey response, see lib/storage) and by the migration which
+ *   fills the normalized tables with the existing survey responses.
+ * - Inserts the participant, one row per answered item (empty answers are not stored), the
+ *   conversation and one row per message of the conversation log.
+ * - A participant who is already stored is not stored again, so that a repeated submission does
+ *   not fail or duplicate the rows.
+ * - If the conversation log cannot be parsed, only the participant and the answers are stored.
+ *
+ * @async
+ * @param {object} client - The database client (client of a transaction).
+ * @param {{participantId: string, treatmentGroup: number, responseData: object,
+ * conversationLog: string}} response - The survey response.
+ * @returns {Promise<void>}
+ */
+async function storeNormalizedResponse(client, { participantId, treatmentGroup, responseData, conversationLog }) {
+  const participant = await client.query(`
+    INSERT INTO participants (participant_id, treatment_group)
+    VALUES ($1, $2)
+    ON CONFLICT (participant_id) DO NOTHING
+    RETURNING participant_id
+  `, [participantId, treatmentGroup]);
+  if (participant.rows.length === 0) return;
+
+  const answers = Object.entries(responseData || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([item, value]) => [participantId, item, String(value)]);
+  await insertRows(client, 'answers', ['participant_id', 'item', 'value'], answers);
+
+  const conversation = parseConversationLog(conversationLog);
+  if (!conversation) return;
+
+  const dialogueStates = new Map(conversation.dialogueStates || []);
+  const messages = conversation.messages || [];
+  const result = await client.query(`
+    INSERT INTO conversations (participant_id, conversation_id, last_dialogue_state, action_clicks)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `, [
+    participantId,
+    conversation.conversationId || null,
+    (conversation.dialogueStates || []).length > 0
+      ? conversation.dialogueStates[conversation.dialogueStates.length - 1][1]
+      : null,
+    (conversation.actionClicks || []).length
+  ]);
+
+  const conversationKey = result.rows[0].id;
+  await insertRows(client, 'messages', messageColumns, messages.map((message, position) => [
+    conversationKey,
+    position,
+    message.from === 'user' ? 'user' : 'bot',
+    typeof message.text === 'string' ? message.text : null,
+    message.activityId || null,
+    message.clientSideMsgId || null,
+    message.status || null,
+    message.activityId ? dialogueStates.get(message.activityId) || null : null,
+    toTimestamp(message.createdAt),
+    toTimestamp(message.clientSentAt),
+    toTimestamp(message.serverReceivedAt),
+    toTimestamp(message.activityTimestamp),
+    toTimestamp(message.arrivedAt),
+    toTimestamp(message.renderedAt),
+    toInteger(message.typingDuration),
+    toInteger(message.typingDelay),
+    toInteger(message.appliedDelay),
+    toInteger(message.latency)
+  ]));
+}
+
+/**************************************************************************
+ * Helper functions
+ **************************************************************************/
+
+/**
+ * Inserts several rows into a table with a single query.
+ *
+ * @async
+ * @param {object} client - The database client.
+ * @param {string} table - The name of the table.
+ * @param {string[]} columns - The names of the columns.
+ * @param {Array<Array>} rows - The values of the rows, in the order of the columns.
+ * @returns {Promise<void>}
+ */
+async function insertRows(client, table, columns, rows) {
+  if (rows.length === 0) return;
+  const placeholders = rows.map((row, rowIndex) =>
+    `(${row.map((_, columnIndex) => `$${rowIndex * columns.length + columnIndex + 1}`).join(', ')})`);
+  await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')}`,
+    rows.flat()
+  );
+}
+
+/**
+ * Parses the conversation log submitted by the client.
+ *
+ * @param {string|object} conversationLog - The conversation log (the conversation state of
+ * chatbot.js in json format).
+ * @returns {object|null} The conversation, or null if the log cannot be parsed.
+ */
+function parseConversationLog(conversationLog) {
+  if (conversationLog && typeof conversationLog === 'object') return conversationLog;
+  try {
+    const conversation = JSON.parse(conversationLog);
+    return conversation && typeof conversation === 'object' ? conversation : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Converts a logged time into a timestamp for the database.
+ *
+ * @param {*} value - The logged time (ISO 8601 string).
+ * @returns {string|null} The timestamp, or null if the value is not a valid time.
+ */
+function toTimestamp(value) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return null;
+  return new Date(value).toISOString();
+}
+
+/**
+ * Converts a logged duration into an integer for the database.
+ *
+ * @param {*} value - The logged duration in milliseconds.
+ * @returns {number|null} The rounded duration, or null if the value is not a number.
+ */
+function toInteger(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null;
+}
+
+module.exports = { storeNormalizedResponse };
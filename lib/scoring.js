@@ -0,0 +1,199 @@
+/**
+ * @fileoverview This script contains the scoring of the constructs measured by the survey
+ * (mean scale scores and Cronbach's alpha), including the recoding of reverse-coded items.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - minimumAnsweredShare @type {number}: the share of the items of a construct which have to be
+ * answered for the scale score to be computed. With 1, the score is only computed if all items
+ * are answered; otherwise it is missing.
+ */
+const minimumAnsweredShare = 1;   // To be specified: the share of answered items required for a score!
+
+/**************************************************************************
+ * Item values
+ **************************************************************************/
+
+/**
+ * Determines the scored value of an item.
+ *
+ * - Parses the raw value stored in the response data.
+ * - Reverses the value (points + 1 - value) if the item is reverse-coded in the construct.
+ *
+ * @param {object} data - The response data of a participant.
+ * @param {string} item - The name of the item.
+ * @param {object} construct - The construct from the survey definition.
+ * @param {{points: number}} scale - The answer scale of the item.
+ * @returns {number|null} The scored value, or null if the item was not answered.
+ */
+function getItemScore(data, item, construct, scale) {
+  const value = parseInt(data[item], 10);
+  if (!Number.isInteger(value)) {
+    return null;
+  }
+  return (construct.reverseCoded || []).includes(item) ? scale.points + 1 - value : value;
+}
+
+/**
+ * Determines the scored values of all items of a construct.
+ *
+ * @param {object} data - The response data of a participant.
+ * @param {object} construct - The construct from the survey definition.
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {Array<number|null>} The scored values in the order of the items of the construct.
+ */
+function getItemScores(data, construct, surveyDefinition) {
+  const questions = surveyDefinition.pages.flatMap(page => page.questions || []);
+  return construct.items.map(item => {
+    const question = questions.find(q => q.name === item);
+    return getItemScore(data, item, construct, surveyDefinition.scales[question.scale]);
+  });
+}
+
+/**************************************************************************
+ * Scale scores
+ **************************************************************************/
+
+/**
+ * Computes the mean scale score of a construct for one participant.
+ *
+ * - Averages the scored values of the answered items (reverse-coded items are recoded).
+ * - Returns null if less than minimumAnsweredShare of the items are answered.
+ *
+ * @param {object} data - The response data of a participant.
+ * @param {object} construct - The construct from the survey definition.
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {number|null} The mean scale score rounded to two decimals, or null.
+ */
+function computeScaleScore(data, construct, surveyDefinition) {
+  const scores = getItemScores(data, construct, surveyDefinition).filter(score => score !== null);
+  if (scores.length === 0 || scores.length < construct.items.length * minimumAnsweredShare) {
+    return null;
+  }
+  return round(mean(scores));
+}
+
+/**
+ * Computes the reliability statistics of all constructs.
+ *
+ * - Uses all participants who answered every item of the construct (listwise deletion).
+ * - Computes the number of these participants, the mean and standard deviation of their scale
+ *   scores and Cronbach's alpha: k / (k - 1) * (1 - sum of the item variances / variance of the
+ *   sum scores).
+ *
+ * @param {Array<object>} responses - The response data of all participants.
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {Array<object>} The statistics per construct.
+ */
+function computeReliability(responses, surveyDefinition) {
+  return (surveyDefinition.constructs || []).map(construct => {
+    const rows = responses
+      .map(data => getItemScores(data, construct, surveyDefinition))
+      .filter(scores => scores.every(score => score !== null));
+    const k = construct.items.length;
+
+    let alpha = null;
+    if (rows.length > 1 && k > 1) {
+      const itemVariances = construct.items.map((_, i) => variance(rows.map(scores => scores[i])));
+      const totalVariance = variance(rows.map(scores => scores.reduce((sum, score) => sum + score, 0)));
+      if (totalVariance > 0) {
+        alpha = round(k / (k - 1) * (1 - itemVariances.reduce((sum, v) => sum + v, 0) / totalVariance), 3);
+      }
+    }
+
+    const scaleScores = rows.map(scores => mean(scores));
+    return {
+      construct: construct.name,
+      label: construct.label,
+      items: construct.items,
+      reverseCoded: construct.reverseCoded || [],
+      n: rows.length,
+      mean: rows.length > 0 ? round(mean(scaleScores)) : null,
+      sd: rows.length > 1 ? round(Math.sqrt(variance(scaleScores))) : null,
+      alpha
+    };
+  });
+}
+
+/**************************************************************************
+ * Validation of the constructs
+ **************************************************************************/
+
+/**
+ * Checks the constructs of the survey definition.
+ *
+ * - This function is called when the server is started, so that errors in the configuration
+ *   are reported before any scores are computed.
+ * - Each item of a construct has to be a question of the survey definition with an answer
+ *   scale (i.e. not a 'choice' question), and each reverse-coded item has to be an item of
+ *   the construct.
+ * - Throws an error describing the first invalid entry.
+ *
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {void}
+ */
+function validateConstructs(surveyDefinition) {
+  const questions = surveyDefinition.pages.flatMap(page => page.questions || []);
+  (surveyDefinition.constructs || []).forEach(construct => {
+    if (!Array.isArray(construct.items) || construct.items.length === 0) {
+      throw new Error(`Construct "${construct.name}" has no items`);
+    }
+    construct.items.forEach(item => {
+      const question = questions.find(q => q.name === item);
+      if (!question) {
+        throw new Error(`Item "${item}" of construct "${construct.name}" is not a question of the survey definition`);
+      }
+      if (!surveyDefinition.scales[question.scale]) {
+        throw new Error(`Item "${item}" of construct "${construct.name}" has no answer scale`);
+      }
+    });
+    (construct.reverseCoded || []).forEach(item => {
+      if (!construct.items.includes(item)) {
+        throw new Error(`Reverse-coded item "${item}" is not an item of construct "${construct.name}"`);
+      }
+    });
+  });
+}
+
+/**************************************************************************
+ * Helper functions
+ **************************************************************************/
+
+/**
+ * Computes the mean of an array of numbers.
+ *
+ * @param {number[]} values - The values.
+ * @returns {number} The mean.
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Computes the sample variance (with n - 1 in the denominator) of an array of numbers.
+ *
+ * @param {number[]} values - The values.
+ * @returns {number} The sample variance.
+ */
+function variance(values) {
+  const m = mean(values);
+  return values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Rounds a number to the given number of decimals.
+ *
+ * @param {number} value - The value.
+ * @param {number} decimals - The number of decimals.
+ * @returns {number} The rounded value.
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { computeScaleScore, computeReliability, validateConstructs };
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview This script selects the storage backend in which the server stores the survey
+ * responses, emails and sessions.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { createJsonlStorage } = require('./jsonl');
+const { createPostgresStorage } = require('./postgres');
+const { createSqliteStorage } = require('./sqlite');
+
+/**
+ * Creates the storage backend.
+ *
+ * - Each storage backend provides the functions init(), saveResponse(response),
+ *   addPendingEmail(email), countPendingEmails(), flushPendingEmails(shuffle), loadEmails(),
+ *   purgeEmails(), encryptPlaintextEmails(encrypt, shuffle), hasParticipant(participantId),
+ *   countResponses(stratum), saveCheckpoint(checkpoint), loadSession(resumeCode),
+ *   loadParticipantSession(participantId), completeSession(participantId) and close().
+ * - saveResponse stores only the first survey response of a participant and returns false for
+ *   each further survey response, so that repeated submissions are not stored twice.
+ * - 'postgres': a postgreSQL database. Requires the DATABASE_URL environment variable. The
+ *   encryption of the connection is set with the DATABASE_SSL environment variable: 'no-verify'
+ *   (default, encrypted without verifying the certificate of the server), 'verify' (encrypted
+ *   with a verified certificate) or 'disable' (not encrypted, e.g. for a local database).
+ * - 'sqlite': a local SQLite database file, set with the SQLITE_FILE environment variable
+ *   (default: data/study.sqlite). Requires the optional better-sqlite3 package.
+ * - 'jsonl': append-only json lines files in the directory set with the DATA_DIR environment
+ *   variable (default: data).
+ *
+ * @param {string} name - The name of the storage backend.
+ * @returns {object} The storage backend.
+ */
+function createStorage(name) {
+  switch (name) {
+    case 'postgres':
+      if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL not set in environment variables');
+      }
+      return createPostgresStorage({
+        connectionString: process.env.DATABASE_URL,
+        ssl: getSslOptions(process.env.DATABASE_SSL || 'no-verify')
+      });
+    case 'sqlite':
+      return createSqliteStorage({ file: process.env.SQLITE_FILE || 'data/study.sqlite' });
+    case 'jsonl':
+      return createJsonlStorage({ directory: process.env.DATA_DIR || 'data' });
+    default:
+      throw new Error(`Unknown storage backend: ${name}`);
+  }
+}
+
+/**
+ * Determines the ssl options of the postgreSQL connection.
+ *
+ * @param {string} mode - The value of the DATABASE_SSL environment variable.
+ * @returns {object|boolean} The ssl options of the pg package.
+ */
+function getSslOptions(mode) {
+  switch (mode) {
+    case 'no-verify':
+      return { rejectUnauthorized: false };
+    case 'verify':
+      return { rejectUnauthorized: true };
+    case 'disable':
+      return false;
+    default:
+      throw new Error(`Unknown DATABASE_SSL mode: ${mode}`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,402 @@
+/**
+ * @fileoverview This script contains the file-based storage backend, which appends the survey
+ * responses, emails and sessions as json lines to files in a data directory, so that pilots and
+ * tests can be run without a database.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates the file-based storage backend.
+ *
+ * - Appends one json object per line to the files responses.jsonl, emails.jsonl,
+ *   pending-emails.jsonl and sessions.jsonl in the data directory. Existing lines of
+ *   responses.jsonl and emails.jsonl are never changed (emails.jsonl is only deleted as a whole
+ *   when the email addresses are purged). pending-emails.jsonl is deleted when its email
+ *   addresses are moved to emails.jsonl.
+ * - Each checkpoint and each completion of a session appends the complete session, so that the
+ *   last line of a participant in sessions.jsonl is the current state of the session. Since the
+ *   earlier lines of a session are outdated, sessions.jsonl is compacted to the latest line of
+ *   each session when the storage is initialized and when the outdated lines outnumber the
+ *   sessions (see compactSessions).
+ * - When the storage is initialized, the survey responses and sessions are loaded from the files
+ *   into memory, where they are looked up (e.g. for the treatment assignment and resume codes).
+ * - The lines are written one after another, so that lines of concurrent requests are not mixed.
+ *
+ * @param {{directory: string}} config - The path of the data directory.
+ * @returns {object} The storage backend.
+ */
+function createJsonlStorage(config) {
+  const files = {
+    responses: path.join(config.directory, 'responses.jsonl'),
+    emails: path.join(config.directory, 'emails.jsonl'),
+    pendingEmails: path.join(config.directory, 'pending-emails.jsonl'),
+    sessions: path.join(config.directory, 'sessions.jsonl')
+  };
+  const responses = new Map();
+  const sessions = new Map();
+  let sessionLines = 0;
+  let writing = Promise.resolve();
+
+  /**
+   * Appends a json line to a file after the previous lines have been written.
+   *
+   * @async
+   * @param {string} file - The path of the file.
+   * @param {object} record - The object to be appended.
+   * @returns {Promise<void>}
+   */
+  function appendLine(file, record) {
+    const write = writing.catch(() => {}).then(() => fs.promises.appendFile(file, JSON.stringify(record) + '\n'));
+    writing = write;
+    return write;
+  }
+
+  /**
+   * Appends the current state of a session to sessions.jsonl and compacts sessions.jsonl if the
+   * outdated lines outnumber the sessions (plus a margin, so that small files are not rewritten
+   * after every checkpoint).
+   *
+   * @async
+   * @param {object} session - The session.
+   * @returns {Promise<void>}
+   */
+  async function appendSession(session) {
+    await appendLine(files.sessions, session);
+    sessionLines++;
+    if (sessionLines - sessions.size > sessions.size + 1000) {
+      compactSessions().catch(error => console.error('Error compacting the sessions:', error));
+    }
+  }
+
+  /**
+   * Rewrites sessions.jsonl with only the latest line of each session after the previous lines
+   * have been written.
+   *
+   * - Writes the sessions to a temporary file first, which then replaces sessions.jsonl, so that
+   *   no session is lost if the server is stopped while the file is written.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  function compactSessions() {
+    const write = writing.catch(() => {}).then(async () => {
+      const temporaryFile = files.sessions + '.tmp';
+      const lines = Array.from(sessions.values(), session => JSON.stringify(session) + '\n');
+      await fs.promises.writeFile(temporaryFile, lines.join(''));
+      await fs.promises.rename(temporaryFile, files.sessions);
+      sessionLines = lines.length;
+    });
+    writing = write;
+    return write;
+  }
+
+  /**
+   * Initializes the storage by creating the data directory and loading the survey responses and
+   * sessions from the files. sessions.jsonl is compacted if it contains outdated lines.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    await fs.promises.mkdir(config.directory, { recursive: true });
+    (await readLines(files.responses))
+      .filter(response => !responses.has(response.participantId))
+      .forEach(response => responses.set(response.participantId, response));
+    const sessionRecords = await readLines(files.sessions);
+    sessionRecords.forEach(session => sessions.set(session.participantId, session));
+    sessionLines = sessionRecords.length;
+    if (sessionLines > sessions.size) await compactSessions();
+  }
+
+  /**
+   * Stores a submitted survey response.
+   *
+   * - If a survey response of the participant has already been stored, the stored survey
+   *   response is kept. The survey response is registered before it is written, so that
+   *   concurrent submissions of the same participant are not written twice.
+   *
+   * @async
+   * @param {{participantId: string, treatmentGroup: number, responseData: object,
+   * conversationLog: string, paradata: Array|null}} response - The survey response.
+   * @returns {Promise<boolean>} Whether the survey response has been stored (false if the
+   * participant has already submitted a survey response).
+   */
+  async function saveResponse(response) {
+    if (responses.has(response.participantId)) return false;
+    const record = { ...response, submittedAt: new Date().toISOString() };
+    responses.set(response.participantId, record);
+    try {
+      await appendLine(files.responses, record);
+    } catch (error) {
+      responses.delete(response.participantId);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Appends an encrypted email address to pending-emails.jsonl until the batch is complete (see
+   * lib/emails.js).
+   *
+   * @async
+   * @param {string} email - The encrypted email address.
+   * @returns {Promise<number>} The number of pending email addresses.
+   */
+  async function addPendingEmail(email) {
+    await appendLine(files.pendingEmails, { email });
+    return countPendingEmails();
+  }
+
+  /**
+   * Counts the pending email addresses.
+   *
+   * @async
+   * @returns {Promise<number>} The number of pending email addresses.
+   */
+  async function countPendingEmails() {
+    return (await readLines(files.pendingEmails)).length;
+  }
+
+  /**
+   * Moves the pending email addresses to emails.jsonl in random order after the previous lines
+   * have been written, and deletes pending-emails.jsonl.
+   *
+   * @async
+   * @param {Function} shuffle - The function which shuffles the email addresses.
+   * @returns {Promise<number>} The number of moved email addresses.
+   */
+  function flushPendingEmails(shuffle) {
+    const write = writing.catch(() => {}).then(async () => {
+      const emails = (await readLines(files.pendingEmails)).map(record => record.email);
+      if (emails.length > 0) {
+        const lines = shuffle(emails).map(email => JSON.stringify({ email }) + '\n');
+        await fs.promises.appendFile(files.emails, lines.join(''));
+        await fs.promises.rm(files.pendingEmails, { force: true });
+      }
+      return emails.length;
+    });
+    writing = write;
+    return write;
+  }
+
+  /**
+   * Loads the stored email addresses from emails.jsonl and pending-emails.jsonl.
+   *
+   * @async
+   * @returns {Promise<string[]>} The encrypted email addresses.
+   */
+  async function loadEmails() {
+    const records = [...await readLines(files.emails), ...await readLines(files.pendingEmails)];
+    return records.map(record => record.email);
+  }
+
+  /**
+   * Deletes all stored email addresses by deleting emails.jsonl and pending-emails.jsonl.
+   *
+   * @async
+   * @returns {Promise<number>} The number of deleted email addresses.
+   */
+  async function purgeEmails() {
+    await writing.catch(() => {});
+    const emails = await loadEmails();
+    await fs.promises.rm(files.emails, { force: true });
+    await fs.promises.rm(files.pendingEmails, { force: true });
+    return emails.length;
+  }
+
+  /**
+   * Encrypts the email addresses which were stored before the encryption was introduced
+   * (recognizable by the @, see decryptEmail in lib/emails.js) by rewriting emails.jsonl after
+   * the previous lines have been written.
+   *
+   * - Writes the email addresses in random order, so that the order of the lines does not
+   *   reveal the order in which the email addresses were submitted.
+   * - Writes the email addresses to a temporary file first, which then replaces emails.jsonl.
+   *
+   * @async
+   * @param {Function} encrypt - The function which encrypts an email address.
+   * @param {Function} shuffle - The function which shuffles the email addresses.
+   * @returns {Promise<number>} The number of encrypted email addresses.
+   */
+  function encryptPlaintextEmails(encrypt, shuffle) {
+    const write = writing.catch(() => {}).then(async () => {
+      const emails = (await readLines(files.emails)).map(record => record.email);
+      const plaintextCount = emails.filter(email => email.includes('@')).length;
+      if (plaintextCount > 0) {
+        const temporaryFile = files.emails + '.tmp';
+        const lines = shuffle(emails.map(email => (email.includes('@') ? encrypt(email) : email)))
+          .map(email => JSON.stringify({ email }) + '\n');
+        await fs.promises.writeFile(temporaryFile, lines.join(''));
+        await fs.promises.rename(temporaryFile, files.emails);
+      }
+      return plaintextCount;
+    });
+    writing = write;
+    return write;
+  }
+
+  /**
+   * Checks whether a participant id is already in use, i.e. whether a survey response or a
+   * session of the participant has been stored.
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<boolean>} Whether the participant id is already in use.
+   */
+  async function hasParticipant(participantId) {
+    return responses.has(participantId) || sessions.has(participantId);
+  }
+
+  /**
+   * Counts the stored survey responses per treatment group whose answers match a stratum.
+   *
+   * @async
+   * @param {Object.<string, string>} stratum - The answers to the stratification questions.
+   * @returns {Promise<Array<{treatmentGroup: number, count: number}>>} The number of survey
+   * responses per treatment group.
+   */
+  async function countResponses(stratum) {
+    const counts = new Map();
+    for (const response of responses.values()) {
+      const matches = Object.entries(stratum)
+        .every(([question, answer]) => String(response.responseData[question] || '') === (answer || ''));
+      if (matches) {
+        counts.set(response.treatmentGroup, (counts.get(response.treatmentGroup) || 0) + 1);
+      }
+    }
+    return Array.from(counts, ([treatmentGroup, count]) => ({ treatmentGroup, count }));
+  }
+
+  /**
+   * Inserts or updates the session of a participant with a checkpoint of the survey progress
+   * (see saveCheckpoint in lib/storage/postgres.js).
+   *
+   * @async
+   * @param {{participantId: string, treatmentGroup: number|null, currentPage: number,
+   * formData: object, conversation: string, clientState: object, resumeCode: string}} checkpoint -
+   * The checkpoint, with the resume code used if the session is new.
+   * @returns {Promise<string|null>} The resume code of the session, or null if the session has
+   * already been completed.
+   */
+  async function saveCheckpoint(checkpoint) {
+    const previous = sessions.get(checkpoint.participantId);
+    if (previous && previous.completed) return null;
+    const now = new Date().toISOString();
+    const session = {
+      participantId: checkpoint.participantId,
+      treatmentGroup: checkpoint.treatmentGroup ?? (previous ? previous.treatmentGroup : null),
+      currentPage: checkpoint.currentPage,
+      furthestPage: Math.max(checkpoint.currentPage, previous ? previous.furthestPage : 0),
+      partialData: checkpoint.formData,
+      conversationLog: checkpoint.conversation,
+      clientState: checkpoint.clientState,
+      resumeCode: previous ? previous.resumeCode : checkpoint.resumeCode,
+      completed: false,
+      startedAt: previous ? previous.startedAt : now,
+      updatedAt: now
+    };
+    sessions.set(session.participantId, session);
+    await appendSession(session);
+    return session.resumeCode;
+  }
+
+  /**
+   * Loads the session with a resume code. Sessions which have already been completed are not
+   * loaded.
+   *
+   * @async
+   * @param {string} resumeCode - The resume code.
+   * @returns {Promise<{participantId: string, treatmentGroup: number|null, formData: object,
+   * conversation: string, clientState: object}|null>} The session, or null if there is no
+   * incomplete session with this resume code.
+   */
+  async function loadSession(resumeCode) {
+    for (const session of sessions.values()) {
+      if (session.resumeCode === resumeCode && !session.completed) {
+        return { participantId: session.participantId, treatmentGroup: session.treatmentGroup,
+          formData: session.partialData, conversation: session.conversationLog,
+          clientState: session.clientState };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Loads the session of a participant (e.g. to renew the participant token with the stored
+   * treatment group).
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<{participantId: string, treatmentGroup: number|null}|null>} The session, or
+   * null if no session of the participant has been stored.
+   */
+  async function loadParticipantSession(participantId) {
+    const session = sessions.get(participantId);
+    if (!session) return null;
+    return { participantId: session.participantId, treatmentGroup: session.treatmentGroup };
+  }
+
+  /**
+   * Marks the session of a participant as completed.
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<void>}
+   */
+  async function completeSession(participantId) {
+    const previous = sessions.get(participantId);
+    if (!previous) return;
+    const session = { ...previous, completed: true, updatedAt: new Date().toISOString() };
+    sessions.set(participantId, session);
+    await appendSession(session);
+  }
+
+  /**
+   * Closes the storage after the pending lines have been written.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    await writing.catch(() => {});
+  }
+
+  return { init, saveResponse, addPendingEmail, countPendingEmails, flushPendingEmails, loadEmails,
+    purgeEmails, encryptPlaintextEmails, hasParticipant, countResponses, saveCheckpoint, loadSession,
+    loadParticipantSession, completeSession, close };
+}
+
+/**
+ * Reads the json lines of a file.
+ *
+ * - Returns no lines if the file does not exist yet.
+ * - Skips lines which cannot be parsed (e.g. a line which was not written completely when the
+ *   server was stopped).
+ *
+ * @async
+ * @param {string} file - The path of the file.
+ * @returns {Promise<object[]>} The objects of the lines.
+ */
+async function readLines(file) {
+  let content;
+  try {
+    content = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return content.split('\n').filter(line => line.trim()).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      console.error(`Skipping an invalid line in ${file}`);
+      return [];
+    }
+  });
+}
+
+module.exports = { createJsonlStorage };
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview This script contains the postgreSQL storage backend, which stores the survey
+ * responses, emails and sessions in a postgreSQL database.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const { Pool } = require('pg');
+const { runMigrations } = require('../migrations');
+const { storeNormalizedResponse } = require('../responses');
+
+/**
+ * Creates the postgreSQL storage backend.
+ *
+ * - The schema of the database is created and updated by the migrations when the storage is
+ *   initialized (see lib/migrations.js).
+ * - Provides the connection pool of the database as pool, which the admin area and the data
+ *   export query directly (see lib/admin.js and lib/export.js).
+ *
+ * @param {{connectionString: string, ssl: object|boolean}} config - The connection string of the
+ * database and the ssl options of the connection.
+ * @returns {object} The storage backend.
+ */
+function createPostgresStorage(config) {
+  const pool = new Pool({
+    connectionString: config.connectionString,
+    ssl: config.ssl
+  });
+
+  /**
+   * Initializes the storage by applying the pending migrations of the database schema.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    await runMigrations(pool);
+  }
+
+  /**
+   * Stores a submitted survey response.
+   *
+   * - Inserts the survey response into the survey_responses table and the normalized tables
+   *   (see lib/responses.js) in one transaction.
+   * - If a survey response of the participant has already been stored, the stored survey
+   *   response is kept (the participant ids of the survey_responses table are unique).
+   *
+   * @async
+   * @param {{participantId: string, treatmentGroup: number, responseData: object,
+   * conversationLog: string, paradata: Array|null}} response - The survey response.
+   * @returns {Promise<boolean>} Whether the survey response has been stored (false if the
+   * participant has already submitted a survey response).
+   */
+  async function saveResponse(response) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        INSERT INTO survey_responses (participant_id, treatment_group, response_data, conversation_log, paradata, submitted_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (participant_id) DO NOTHING
+        RETURNING participant_id
+      `, [response.participantId, response.treatmentGroup, JSON.stringify(response.responseData),
+        response.conversationLog, response.paradata ? JSON.stringify(response.paradata) : null]);
+      if (result.rows.length > 0) {
+        await storeNormalizedResponse(client, response);
+      }
+      await client.query('COMMIT');
+      return result.rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stores an encrypted email address in the pending_emails table until the batch is complete
+   * (see lib/emails.js).
+   *
+   * @async
+   * @param {string} email - The encrypted email address.
+   * @returns {Promise<number>} The number of pending email addresses.
+   */
+  async function addPendingEmail(email) {
+    await pool.query('INSERT INTO pending_emails (email_address) VALUES ($1)', [email]);
+    return countPendingEmails();
+  }
+
+  /**
+   * Counts the pending email addresses.
+   *
+   * @async
+   * @returns {Promise<number>} The number of pending email addresses.
+   */
+  async function countPendingEmails() {
+    const result = await pool.query('SELECT COUNT(*) AS count FROM pending_emails');
+    return Number(result.rows[0].count);
+  }
+
+  /**
+   * Moves the pending email addresses to the emails table in random order.
+   *
+   * - Truncates the pending_emails table, which removes the table files, so that the order in
+   *   which the email addresses were submitted does not remain in deleted rows.
+   *
+   * @async
+   * @param {Function} shuffle - The function which shuffles the email addresses.
+   * @returns {Promise<number>} The number of moved email addresses.
+   */
+  async function flushPendingEmails(shuffle) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE pending_emails');
+      const result = await client.query('SELECT email_address FROM pending_emails');
+      if (result.rows.length > 0) {
+        await client.query('INSERT INTO emails (email_address) SELECT unnest($1::text[])',
+          [shuffle(result.rows.map(row => row.email_address))]);
+        await client.query('TRUNCATE pending_emails');
+      }
+      await client.query('COMMIT');
+      return result.rows.length;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Loads the stored email addresses, including the pending email addresses.
+   *
+   * @async
+   * @returns {Promise<string[]>} The encrypted email addresses.
+   */
+  async function loadEmails() {
+    const result = await pool.query(`
+      SELECT email_address FROM emails
+      UNION ALL
+      SELECT email_address FROM pending_emails
+    `);
+    return result.rows.map(row => row.email_address);
+  }
+
+  /**
+   * Deletes all stored email addresses, including the pending email addresses.
+   *
+   * - Truncates the emails and pending_emails tables, which removes the table files instead of
+   *   only marking the rows as deleted.
+   *
+   * @async
+   * @returns {Promise<number>} The number of deleted email addresses.
+   */
+  async function purgeEmails() {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE emails, pending_emails');
+      const result = await client.query(`
+        SELECT (SELECT COUNT(*) FROM emails) + (SELECT COUNT(*) FROM pending_emails) AS count
+      `);
+      await client.query('TRUNCATE emails, pending_emails');
+      await client.query('COMMIT');
+      return Number(result.rows[0].count);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Encrypts the email addresses which were stored before the encryption was introduced
+   * (recognizable by the @, see decryptEmail in lib/emails.js).
+   *
+   * - Rewrites the emails table in random order after truncating it, so that the unencrypted
+   *   email addresses do not remain in the table files as deleted rows and the order of the rows
+   *   does not reveal the order in which the email addresses were submitted.
+   *
+   * @async
+   * @param {Function} encrypt - The function which encrypts an email address.
+   * @param {Function} shuffle - The function which shuffles the email addresses.
+   * @returns {Promise<number>} The number of encrypted email addresses.
+   */
+  async function encryptPlaintextEmails(encrypt, shuffle) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE emails');
+      const result = await client.query('SELECT email_address FROM emails');
+      const emails = result.rows.map(row => row.email_address);
+      const plaintextCount = emails.filter(email => email.includes('@')).length;
+      if (plaintextCount > 0) {
+        await client.query('TRUNCATE emails');
+        await client.query('INSERT INTO emails (email_address) SELECT unnest($1::text[])',
+          [shuffle(emails.map(email => (email.includes('@') ? encrypt(email) : email)))]);
+      }
+      await client.query('COMMIT');
+      return plaintextCount;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Checks whether a participant id is already in use, i.e. whether a survey response or a
+   * session of the participant has been stored.
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<boolean>} Whether the participant id is already in use.
+   */
+  async function hasParticipant(participantId) {
+    const result = await pool.query(`
+      SELECT participant_id FROM survey_responses WHERE participant_id = $1
+      UNION ALL
+      SELECT participant_id FROM survey_sessions WHERE participant_id = $1
+    `, [participantId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Counts the stored survey responses per treatment group whose answers match a stratum.
+   *
+   * @async
+   * @param {Object.<string, string>} stratum - The answers to the stratification questions.
+   * @returns {Promise<Array<{treatmentGroup: number, count: number}>>} The number of survey
+   * responses per treatment group.
+   */
+  async function countResponses(stratum) {
+    const conditions = [];
+    const values = [];
+    Object.entries(stratum).forEach(([question, answer]) => {
+      values.push(question, answer || '');
+      conditions.push(`COALESCE(response_data::jsonb ->> $${values.length - 1}, '') = $${values.length}`);
+    });
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pool.query(
+      `SELECT treatment_group, COUNT(*) AS count FROM survey_responses ${whereClause} GROUP BY treatment_group`,
+      values
+    );
+    return result.rows.map(row => ({ treatmentGroup: Number(row.treatment_group), count: Number(row.count) }));
+  }
+
+  /**
+   * Inserts or updates the session of a participant with a checkpoint of the survey progress.
+   *
+   * - Besides the current page, the furthest page reached is recorded. The treatment group is
+   *   only updated if it is not null.
+   * - Sessions which have already been completed are not updated anymore.
+   *
+   * @async
+   * @param {{participantId: string, treatmentGroup: number|null, currentPage: number,
+   * formData: object, conversation: string, clientState: object, resumeCode: string}} checkpoint -
+   * The checkpoint, with the resume code used if the session is new.
+   * @returns {Promise<string|null>} The resume code of the session, or null if the session has
+   * already been completed.
+   */
+  async function saveCheckpoint(checkpoint) {
+    const result = await pool.query(`
+      INSERT INTO survey_sessions (participant_id, treatment_group, current_page, furthest_page,
+        partial_data, conversation_log, client_state, resume_code, started_at, updated_at)
+      VALUES ($1, $2, $3, $3, $4, $5, $6, $7, NOW(), NOW())
+      ON CONFLICT (participant_id) DO UPDATE SET
+        treatment_group = COALESCE(EXCLUDED.treatment_group, survey_sessions.treatment_group),
+        current_page = EXCLUDED.current_page,
+        furthest_page = GREATEST(survey_sessions.furthest_page, EXCLUDED.current_page),
+        partial_data = EXCLUDED.partial_data,
+        conversation_log = EXCLUDED.conversation_log,
+        client_state = EXCLUDED.client_state,
+        updated_at = NOW()
+      WHERE survey_sessions.completed = FALSE
+      RETURNING resume_code
+    `, [checkpoint.participantId, checkpoint.treatmentGroup, checkpoint.currentPage,
+      JSON.stringify(checkpoint.formData), checkpoint.conversation, JSON.stringify(checkpoint.clientState),
+      checkpoint.resumeCode]);
+    return result.rows.length > 0 ? result.rows[0].resume_code : null;
+  }
+
+  /**
+   * Loads the session with a resume code. Sessions which have already been completed are not
+   * loaded.
+   *
+   * @async
+   * @param {string} resumeCode - The resume code.
+   * @returns {Promise<{participantId: string, treatmentGroup: number|null, formData: object,
+   * conversation: string, clientState: object}|null>} The session, or null if there is no
+   * incomplete session with this resume code.
+   */
+  async function loadSession(resumeCode) {
+    const result = await pool.query(`
+      SELECT participant_id, treatment_group, partial_data, conversation_log, client_state
+      FROM survey_sessions
+      WHERE resume_code = $1 AND completed = FALSE
+    `, [resumeCode]);
+    if (result.rows.length === 0) return null;
+    const session = result.rows[0];
+    return {
+      participantId: session.participant_id,
+      treatmentGroup: session.treatment_group,
+      formData: typeof session.partial_data === 'string' ? JSON.parse(session.partial_data) : session.partial_data,
+      conversation: session.conversation_log,
+      clientState: typeof session.client_state === 'string' ? JSON.parse(session.client_state) : session.client_state
+    };
+  }
+
+  /**
+   * Loads the session of a participant (e.g. to renew the participant token with the stored
+   * treatment group).
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<{participantId: string, treatmentGroup: number|null}|null>} The session, or
+   * null if no session of the participant has been stored.
+   */
+  async function loadParticipantSession(participantId) {
+    const result = await pool.query(
+      'SELECT participant_id, treatment_group FROM survey_sessions WHERE participant_id = $1',
+      [participantId]
+    );
+    if (result.rows.length === 0) return null;
+    return { participantId: result.rows[0].participant_id, treatmentGroup: result.rows[0].treatment_group };
+  }
+
+  /**
+   * Marks the session of a participant as completed.
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<void>}
+   */
+  async function completeSession(participantId) {
+    await pool.query(
+      'UPDATE survey_sessions SET completed = TRUE, updated_at = NOW() WHERE participant_id = $1',
+      [participantId]
+    );
+  }
+
+  /**
+   * Closes the connection pool of the database.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    await pool.end();
+  }
+
+  return { init, saveResponse, addPendingEmail, countPendingEmails, flushPendingEmails, loadEmails,
+    purgeEmails, encryptPlaintextEmails, hasParticipant, countResponses, saveCheckpoint, loadSession,
+    loadParticipantSession, completeSession, close, pool };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,384 @@
+/**
+ * @fileoverview This script contains the SQLite storage backend, which stores the survey
+ * responses, emails and sessions in a local SQLite database file, so that pilots and tests can
+ * be run without a database server.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { applyMigrations } = require('../migrations');
+const { storeNormalizedResponse } = require('../responses');
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - legacySchemaVersion @type {number}: the version of the migrations (see lib/migrations.js)
+ *   which corresponds to the tables of SQLite databases created before the migrations were
+ *   applied to SQLite. These databases have no schema_migrations table; the migrations up to
+ *   this version are recorded without being applied.
+ * - sqliteTypes @type {Array<Array>}: the column types and defaults of postgreSQL which are
+ *   replaced in the queries of the client (see createClient). Json values and timestamps are
+ *   stored as text.
+ */
+const legacySchemaVersion = 8;
+const sqliteTypes = [
+  [/\bSERIAL PRIMARY KEY\b/g, 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+  [/\b(JSONB|TIMESTAMPTZ)\b/g, 'TEXT'],
+  [/\bNOW\(\)/g, "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"]
+];
+
+/**
+ * Creates the SQLite storage backend.
+ *
+ * - Requires the optional better-sqlite3 package.
+ * - The queries of better-sqlite3 are synchronous, so that the statements of a transaction are
+ *   not interleaved with the statements of other requests.
+ * - The tables are created and updated by the same migrations as the tables of the postgreSQL
+ *   database when the storage is initialized (see lib/migrations.js).
+ * - Stores the survey responses also in the normalized tables (see lib/responses.js), which are
+ *   accessed with the same queries as in the postgreSQL database (see createClient).
+ *
+ * @param {{file: string}} config - The path of the database file.
+ * @returns {object} The storage backend.
+ */
+function createSqliteStorage(config) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(path.resolve(config.file)), { recursive: true });
+  const db = new Database(config.file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  const client = createClient(db);
+
+  /**
+   * Initializes the storage by applying the pending migrations of the database schema.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all();
+    const isLegacy = tables.includes('survey_responses') && !tables.includes('schema_migrations');
+    await applyMigrations(client, 'sqlite', isLegacy ? legacySchemaVersion : 0);
+  }
+
+  /**
+   * Stores a submitted survey response.
+   *
+   * - Inserts the survey response into the survey_responses table and the normalized tables
+   *   in one transaction.
+   * - If a survey response of the participant has already been stored, the stored survey
+   *   response is kept.
+   *
+   * @async
+   * @param {{participantId: string, treatmentGroup: number, responseData: object,
+   * conversationLog: string, paradata: Array|null}} response - The survey response.
+   * @returns {Promise<boolean>} Whether the survey response has been stored (false if the
+   * participant has already submitted a survey response).
+   */
+  async function saveResponse(response) {
+    db.exec('BEGIN');
+    try {
+      const result = await client.query(`
+        INSERT INTO survey_responses (participant_id, treatment_group, response_data, conversation_log, paradata, submitted_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (participant_id) DO NOTHING
+        RETURNING participant_id
+      `, [response.participantId, response.treatmentGroup, JSON.stringify(response.responseData),
+        response.conversationLog, response.paradata ? JSON.stringify(response.paradata) : null]);
+      if (result.rows.length > 0) {
+        await storeNormalizedResponse(client, response);
+      }
+      db.exec('COMMIT');
+      return result.rows.length > 0;
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Stores an encrypted email address in the pending_emails table until the batch is complete
+   * (see lib/emails.js).
+   *
+   * @async
+   * @param {string} email - The encrypted email address.
+   * @returns {Promise<number>} The number of pending email addresses.
+   */
+  async function addPendingEmail(email) {
+    db.prepare('INSERT INTO pending_emails (email_address) VALUES (?)').run(email);
+    return countPendingEmails();
+  }
+
+  /**
+   * Counts the pending email addresses.
+   *
+   * @async
+   * @returns {Promise<number>} The number of pending email addresses.
+   */
+  async function countPendingEmails() {
+    return db.prepare('SELECT COUNT(*) FROM pending_emails').pluck().get();
+  }
+
+  /**
+   * Moves the pending email addresses to the emails table in random order in one transaction.
+   *
+   * @async
+   * @param {Function} shuffle - The function which shuffles the email addresses.
+   * @returns {Promise<number>} The number of moved email addresses.
+   */
+  async function flushPendingEmails(shuffle) {
+    const insert = db.prepare('INSERT INTO emails (email_address) VALUES (?)');
+    return db.transaction(() => {
+      const emails = db.prepare('SELECT email_address FROM pending_emails').pluck().all();
+      shuffle(emails).forEach(email => insert.run(email));
+      db.prepare('DELETE FROM pending_emails').run();
+      return emails.length;
+    })();
+  }
+
+  /**
+   * Loads the stored email addresses, including the pending email addresses.
+   *
+   * @async
+   * @returns {Promise<string[]>} The encrypted email addresses.
+   */
+  async function loadEmails() {
+    return db.prepare(`
+      SELECT email_address FROM emails
+      UNION ALL
+      SELECT email_address FROM pending_emails
+    `).pluck().all();
+  }
+
+  /**
+   * Deletes all stored email addresses, including the pending email addresses.
+   *
+   * - Rebuilds the database file and empties the write-ahead log afterwards, so that the
+   *   deleted email addresses do not remain in unused pages of the files.
+   *
+   * @async
+   * @returns {Promise<number>} The number of deleted email addresses.
+   */
+  async function purgeEmails() {
+    const changes = db.transaction(() => db.prepare('DELETE FROM emails').run().changes +
+      db.prepare('DELETE FROM pending_emails').run().changes)();
+    db.exec('VACUUM');
+    db.pragma('wal_checkpoint(TRUNCATE)');
+    return changes;
+  }
+
+  /**
+   * Encrypts the email addresses which were stored before the encryption was introduced
+   * (recognizable by the @, see decryptEmail in lib/emails.js).
+   *
+   * - Inserts the email addresses again in random order, so that the order of the rows does not
+   *   reveal the order in which the email addresses were submitted.
+   * - Rebuilds the database file and empties the write-ahead log afterwards, so that the
+   *   unencrypted email addresses do not remain in unused pages of the files (see purgeEmails).
+   *
+   * @async
+   * @param {Function} encrypt - The function which encrypts an email address.
+   * @param {Function} shuffle - The function which shuffles the email addresses.
+   * @returns {Promise<number>} The number of encrypted email addresses.
+   */
+  async function encryptPlaintextEmails(encrypt, shuffle) {
+    const emails = db.prepare('SELECT email_address FROM emails').pluck().all();
+    const plaintextCount = emails.filter(email => email.includes('@')).length;
+    if (plaintextCount === 0) return 0;
+    const insert = db.prepare('INSERT INTO emails (email_address) VALUES (?)');
+    db.transaction(() => {
+      db.prepare('DELETE FROM emails').run();
+      shuffle(emails.map(email => (email.includes('@') ? encrypt(email) : email))).forEach(email => insert.run(email));
+    })();
+    db.exec('VACUUM');
+    db.pragma('wal_checkpoint(TRUNCATE)');
+    return plaintextCount;
+  }
+
+  /**
+   * Checks whether a participant id is already in use, i.e. whether a survey response or a
+   * session of the participant has been stored.
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<boolean>} Whether the participant id is already in use.
+   */
+  async function hasParticipant(participantId) {
+    return db.prepare(`
+      SELECT 1 FROM survey_responses WHERE participant_id = @participantId
+      UNION ALL
+      SELECT 1 FROM survey_sessions WHERE participant_id = @participantId
+    `).get({ participantId }) !== undefined;
+  }
+
+  /**
+   * Counts the stored survey responses per treatment group whose answers match a stratum.
+   *
+   * @async
+   * @param {Object.<string, string>} stratum - The answers to the stratification questions.
+   * @returns {Promise<Array<{treatmentGroup: number, count: number}>>} The number of survey
+   * responses per treatment group.
+   */
+  async function countResponses(stratum) {
+    const conditions = [];
+    const values = [];
+    Object.entries(stratum).forEach(([question, answer]) => {
+      values.push(question, answer || '');
+      conditions.push(`COALESCE(json_extract(response_data, '$."' || ? || '"'), '') = ?`);
+    });
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`
+      SELECT treatment_group AS treatmentGroup, COUNT(*) AS count
+      FROM survey_responses ${whereClause}
+      GROUP BY treatment_group
+    `).all(...values);
+  }
+
+  /**
+   * Inserts or updates the session of a participant with a checkpoint of the survey progress
+   * (see saveCheckpoint in lib/storage/postgres.js).
+   *
+   * @async
+   * @param {{participantId: string, treatmentGroup: number|null, currentPage: number,
+   * formData: object, conversation: string, clientState: object, resumeCode: string}} checkpoint -
+   * The checkpoint, with the resume code used if the session is new.
+   * @returns {Promise<string|null>} The resume code of the session, or null if the session has
+   * already been completed.
+   */
+  async function saveCheckpoint(checkpoint) {
+    const session = db.prepare(`
+      INSERT INTO survey_sessions (participant_id, treatment_group, current_page, furthest_page,
+        partial_data, conversation_log, client_state, resume_code)
+      VALUES (@participantId, @treatmentGroup, @currentPage, @currentPage, @formData, @conversation,
+        @clientState, @resumeCode)
+      ON CONFLICT (participant_id) DO UPDATE SET
+        treatment_group = COALESCE(excluded.treatment_group, survey_sessions.treatment_group),
+        current_page = excluded.current_page,
+        furthest_page = MAX(survey_sessions.furthest_page, excluded.current_page),
+        partial_data = excluded.partial_data,
+        conversation_log = excluded.conversation_log,
+        client_state = excluded.client_state,
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      WHERE survey_sessions.completed = 0
+      RETURNING resume_code
+    `).get({
+      ...checkpoint,
+      formData: JSON.stringify(checkpoint.formData),
+      clientState: JSON.stringify(checkpoint.clientState)
+    });
+    return session ? session.resume_code : null;
+  }
+
+  /**
+   * Loads the session with a resume code. Sessions which have already been completed are not
+   * loaded.
+   *
+   * @async
+   * @param {string} resumeCode - The resume code.
+   * @returns {Promise<{participantId: string, treatmentGroup: number|null, formData: object,
+   * conversation: string, clientState: object}|null>} The session, or null if there is no
+   * incomplete session with this resume code.
+   */
+  async function loadSession(resumeCode) {
+    const session = db.prepare(`
+      SELECT participant_id, treatment_group, partial_data, conversation_log, client_state
+      FROM survey_sessions
+      WHERE resume_code = ? AND completed = 0
+    `).get(resumeCode);
+    if (!session) return null;
+    return {
+      participantId: session.participant_id,
+      treatmentGroup: session.treatment_group,
+      formData: JSON.parse(session.partial_data),
+      conversation: session.conversation_log,
+      clientState: JSON.parse(session.client_state)
+    };
+  }
+
+  /**
+   * Loads the session of a participant (e.g. to renew the participant token with the stored
+   * treatment group).
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<{participantId: string, treatmentGroup: number|null}|null>} The session, or
+   * null if no session of the participant has been stored.
+   */
+  async function loadParticipantSession(participantId) {
+    const session = db.prepare(
+      'SELECT participant_id, treatment_group FROM survey_sessions WHERE participant_id = ?'
+    ).get(participantId);
+    if (!session) return null;
+    return { participantId: session.participant_id, treatmentGroup: session.treatment_group };
+  }
+
+  /**
+   * Marks the session of a participant as completed.
+   *
+   * @async
+   * @param {string} participantId - The participant id.
+   * @returns {Promise<void>}
+   */
+  async function completeSession(participantId) {
+    db.prepare(`
+      UPDATE survey_sessions SET completed = 1, updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      WHERE participant_id = ?
+    `).run(participantId);
+  }
+
+  /**
+   * Closes the database.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    db.close();
+  }
+
+  return { init, saveResponse, addPendingEmail, countPendingEmails, flushPendingEmails, loadEmails,
+    purgeEmails, encryptPlaintextEmails, hasParticipant, countResponses, saveCheckpoint, loadSession,
+    loadParticipantSession, completeSession, close };
+}
+
+/**
+ * Creates a client for the SQLite database with the query function of the postgreSQL client,
+ * so that the queries of lib/responses.js can be used for both databases.
+ *
+ * - The numbered parameters of postgreSQL ($1, $2, ...) are replaced by named parameters of
+ *   SQLite (@p1, @p2, ...) and the column types of postgreSQL by those of SQLite (see
+ *   sqliteTypes).
+ * - Executes several statements without parameters at once (e.g. the migrations which create
+ *   several tables).
+ * - Returns the rows of queries which return data (e.g. with RETURNING) as rows.
+ *
+ * @param {object} db - The SQLite database.
+ * @returns {{query: Function}} The client.
+ */
+function createClient(db) {
+  return {
+    query: async (sql, values = []) => {
+      const translated = sqliteTypes.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), sql);
+      if (values.length === 0 && /;\s*\S/.test(translated)) {
+        db.exec(translated);
+        return { rows: [] };
+      }
+      const statement = db.prepare(translated.replace(/\$(\d+)/g, '@p$1'));
+      const parameters = Object.fromEntries(values.map((value, index) => [`p${index + 1}`, value]));
+      if (statement.reader) {
+        return { rows: statement.all(parameters) };
+      }
+      statement.run(parameters);
+      return { rows: [] };
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview This script contains the signed participant tokens, which bind the treatment
+ * group to the participant id, so that the server derives the treatment group of each request
+ * from the token instead of trusting the value sent by the client, and the signed conversation
+ * tokens, which bind a conversation with the chatbot to the participant who started it.
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Definition of variables used in the script.
+ *
+ * - conversationTokenPrefix @type {string}: the prefix of the signed payload of conversation
+ *   tokens, so that a conversation token is not accepted as participant token and vice versa.
+ */
+const conversationTokenPrefix = 'conversation.';
+
+/**
+ * Creates a participant token.
+ *
+ * - The token consists of the participant id, treatment group and time of issue (base64url
+ *   encoded json) and an HMAC-SHA256 signature of them, separated by a dot.
+ * - The treatment group is null if it has not been assigned yet (late assignment).
+ *
+ * @param {string} participantId - The participant id.
+ * @param {number|null} treatmentGroup - The treatment group.
+ * @param {string} secret - The secret key of the signature.
+ * @returns {string} The participant token.
+ */
+function createParticipantToken(participantId, treatmentGroup, secret) {
+  const payload = Buffer.from(JSON.stringify({ participantId, treatmentGroup, issuedAt: Date.now() }))
+    .toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verifies a participant token (see readToken).
+ *
+ * - Rejects tokens which were issued longer than the maximum age ago. Tokens issued before the
+ *   time of issue was added to the tokens count as expired.
+ *
+ * @param {*} token - The participant token sent by the client.
+ * @param {string} secret - The secret key of the signature.
+ * @param {number} [maxAge=Infinity] - The maximum age of the token in milliseconds.
+ * @returns {{participantId: string, treatmentGroup: number|null}|null} The participant id and
+ * treatment group, or null if the token is missing, malformed, not signed with the secret or
+ * expired.
+ */
+function verifyParticipantToken(token, secret, maxAge = Infinity) {
+  const data = readToken(token, '', secret);
+  if (!data) return null;
+  if (Date.now() - (Number(data.issuedAt) || 0) > maxAge) return null;
+  return { participantId: data.participantId, treatmentGroup: data.treatmentGroup };
+}
+
+/**
+ * Creates a conversation token.
+ *
+ * - The token consists of the participant id and conversation id (base64url encoded json) and
+ *   an HMAC-SHA256 signature of them, separated by a dot. The signature covers the
+ *   conversationTokenPrefix as well.
+ * - Since the token is signed with the same secret key as the participant tokens, it remains
+ *   valid after a restart of the server and on other server instances.
+ *
+ * @param {string} participantId - The participant id.
+ * @param {string} conversationId - The conversation id of the bot backend.
+ * @param {string} secret - The secret key of the signature.
+ * @returns {string} The conversation token.
+ */
+function createConversationToken(participantId, conversationId, secret) {
+  const payload = Buffer.from(JSON.stringify({ participantId, conversationId })).toString('base64url');
+  return `${payload}.${sign(conversationTokenPrefix + payload, secret)}`;
+}
+
+/**
+ * Verifies a conversation token.
+ *
+ * @param {*} token - The conversation token sent by the client.
+ * @param {string} secret - The secret key of the signature.
+ * @returns {{participantId: string, conversationId: string}|null} The participant id and
+ * conversation id, or null if the token is missing, malformed or not signed with the secret.
+ */
+function verifyConversationToken(token, secret) {
+  const data = readToken(token, conversationTokenPrefix, secret);
+  if (!data) return null;
+  return { participantId: data.participantId, conversationId: data.conversationId };
+}
+
+/**
+ * Reads the payload of a signed token.
+ *
+ * - Compares the signature in constant time to prevent timing attacks.
+ *
+ * @param {*} token - The token sent by the client.
+ * @param {string} prefix - The prefix of the signed payload of the type of token.
+ * @param {string} secret - The secret key of the signature.
+ * @returns {object|null} The decoded payload, or null if the token is missing, malformed or not
+ * signed with the secret.
+ */
+function readToken(token, prefix, secret) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(prefix + payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Signs the payload of a token.
+ *
+ * @param {string} payload - The encoded payload.
+ * @param {string} secret - The secret key of the signature.
+ * @returns {string} The base64url encoded HMAC-SHA256 signature.
+ */
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+module.exports = { createParticipantToken, verifyParticipantToken, createConversationToken,
+  verifyConversationToken };
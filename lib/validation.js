@@ -0,0 +1,73 @@
+/**
+ * @fileoverview This script contains the server-side validation of the submitted survey
+ * answers, which mirrors the validation of the client (see validateCurrentPage in script.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**
+ * Validates the submitted answers against the survey definition.
+ *
+ * - Answers are invalid if they do not belong to a question or free text field of the survey
+ *   definition, if a scale answer is not one of the values of its scale, if a choice answer
+ *   is not one of its options, or if a free text answer is not a string.
+ * - Required questions (all questions without required: false) are missing if they are not
+ *   answered. The free text field of a selected option is missing if it is empty, unless its
+ *   extraInput has required: false.
+ * - Missing answers are only rejected in the 'hard' validation mode of the survey definition.
+ *
+ * @param {object} responseData - The submitted answers (name of the input and value).
+ * @param {object} surveyDefinition - The survey definition.
+ * @returns {{valid: boolean, invalid: string[], missing: string[]}} The result of the validation
+ * with the names of the invalid and missing answers.
+ */
+function validateResponseData(responseData, surveyDefinition) {
+  const questions = surveyDefinition.pages.flatMap(page => page.questions || []);
+  const invalid = [];
+  const missing = [];
+  const knownFields = new Set();
+
+  questions.forEach(question => {
+    knownFields.add(question.name);
+    const value = responseData[question.name];
+    const answered = value !== undefined && value !== null && value !== '';
+
+    let allowedValues;
+    if (question.type === 'choice') {
+      allowedValues = question.options.map(option => option.value);
+    } else {
+      const points = surveyDefinition.scales[question.scale].points;
+      allowedValues = Array.from({ length: points }, (_, i) => String(i + 1));
+    }
+
+    if (!answered) {
+      if (question.required !== false) {
+        missing.push(question.name);
+      }
+    } else if (!allowedValues.includes(String(value))) {
+      invalid.push(question.name);
+    }
+
+    (question.options || []).filter(option => option.extraInput).forEach(option => {
+      const extraInput = option.extraInput;
+      const text = responseData[extraInput.name];
+      knownFields.add(extraInput.name);
+      if (text !== undefined && text !== null && typeof text !== 'string') {
+        invalid.push(extraInput.name);
+      } else if (value === option.value && extraInput.required !== false && !(text || '').trim()) {
+        missing.push(question.name);
+      }
+    });
+  });
+
+  Object.keys(responseData).forEach(name => {
+    if (!knownFields.has(name)) {
+      invalid.push(name);
+    }
+  });
+
+  const valid = invalid.length === 0 && (surveyDefinition.validationMode === 'soft' || missing.length === 0);
+  return { valid, invalid, missing };
+}
+
+module.exports = { validateResponseData };
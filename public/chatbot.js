@@ -18,11 +18,38 @@
  *   displayed after a user message. 
  * - initialTypingAnimationDelay @type {number}: The delay in milliseconds until the typing indicator 
  *   is displayed for the initial welcome message by the chatbot. 
- * - initialBotMessageDelay @type {number}: The delay in milliseconds until the initial welcome message 
- *   by the chatbot is displayed. 
+ * - typingDelayModel @type {object|object[]}: The model of the simulated typing time of the chatbot, 
+ *   i.e. the time from the user message (or from opening the chatbot, or from the previous bot message) 
+ *   until a bot message is displayed (see getTypingDelay). An array specifies one model per treatment 
+ *   group. The default displays the welcome message after 800 milliseconds and each reply as soon as 
+ *   it arrives; studies opt in to simulated typing times (e.g. the 'wpm' model). 
+ * - useActivityStream @type {boolean}: Variable to specify whether bot messages are received via the 
+ *   activity stream of the server (server-sent events) instead of polling. 
+ * - mergeQueuedMessages @type {boolean}: Variable to specify whether user messages which were written 
+ *   while the chatbot was answering are sent to the chatbot as one turn (separated by line breaks) 
+ *   instead of one by one. 
+ * - maxRequestRetries @type {number}: The number of times a failed request to the server is retried 
+ *   before the request is given up (see getRetryDelay). 
+ * - retryBaseDelay @type {number}: The delay in milliseconds before the first retry of a failed request. 
+ *   The delay is doubled for each further retry (exponential backoff). 
+ * - retryMaxDelay @type {number}: The maximum delay in milliseconds between two retries. 
+ * - safeLinkProtocols @type {string[]}: The protocols of the links and link buttons which are 
+ *   displayed in bot messages and cards. Links with other protocols (e.g. javascript:) are 
+ *   displayed as plain text. 
+ * - messageStatusLabels @type {object}: The labels of the delivery states of user messages ('sending', 
+ *   'delivered' and 'failed') displayed below the messages. 
  * - conversationId @type {string}: The conversationId generated by the bot framework.
  * - watermark @type {number}: The watermark per chatbot activity retrieval.
  * - typingIndicatorTimeout @type {number|null}: The timer id for the typing animation delay. 
+ * - typingStart @type {number}: The time from which the simulated typing time of the next bot message 
+ *   is measured. 
+ * - draftStartedAt @type {number|null}: The time at which the user started to write the 
+ *   current user message, from which the typing duration of the message is measured. 
+ * - activityProcessing @type {Promise}: The processing of the previously received activities, which 
+ *   is completed before new activities are processed. 
+ * - activityStream @type {EventSource|null}: The open activity stream, if any. 
+ * - activityStreamFailed @type {boolean}: Flag to specify whether the activity stream has failed, so 
+ *   that the activities are polled for the rest of the page session. 
  * - pollInProgress @type {boolean}: A flag indicating whether a chatbot activity retrieval process is 
  *   currently in progress. 
  * - sendInProgress @type {boolean}: A flag indicating whether a process of sending a user message to the
@@ -35,11 +62,27 @@
 const enterMeansSend = false;             // To be specified: whether a message is sent when pressing enter!
 const typingAnimationDelay = 750        // To be specified: delay of the typing animation!
 const initialTypingAnimationDelay = 250  // To be specified: typing animation delay of initial bot message!
-const initialBotMessageDelay = 800       // To be specified: delay of the initial bot message!
+const typingDelayModel = { type: 'fixed', delay: 0, initialDelay: 800 };  // To be specified: the typing delay model of the chatbot!
+const useActivityStream = true           // To be specified: whether bot messages are streamed instead of polled!
+const mergeQueuedMessages = false        // To be specified: whether queued user messages are sent as one turn!
+const maxRequestRetries = 5              // To be specified: number of retries of a failed request to the server!
+const retryBaseDelay = 1000              // To be specified: delay before the first retry (doubled for each further retry)!
+const retryMaxDelay = 16000              // To be specified: maximum delay between two retries!
+const safeLinkProtocols = ['http:', 'https:', 'mailto:'];
+const messageStatusLabels = {
+  sending: 'Wird gesendet …',
+  delivered: 'Zugestellt',
+  failed: 'Nicht zugestellt. Tippen, um es erneut zu senden.'
+};
 
 let conversationId = null;
 let watermark = null;
 let typingIndicatorTimeout = null;
+let typingStart = Date.now();
+let draftStartedAt = null;
+let activityProcessing = Promise.resolve();
+let activityStream = null;
+let activityStreamFailed = false;
 let pollInProgress = sessionStorage.getItem('pollInProgress') === 'true';
 let sendInProgress = sessionStorage.getItem('sendInProgress') === 'true'; 
 let startConvInProgress = sessionStorage.getItem('startConvInProgress') === 'true';
@@ -57,7 +100,8 @@ document.addEventListener('surveyDataInitialized', initializeChatbotUi);
  * Initializes the chatbot interface.
  * This function is executed as soon as the "surveyDataInitialized" event has been triggered. 
  * 
- * - Starts a new conversation or restores an existing conversation.
+ * - Starts a new conversation or restores an existing conversation and opens the activity 
+ *   stream of the restored conversation.
  * - Calls the continueChatbotApiRequests function to continue any communication processes
  *   with the server which were still in progress when the page was reloaded. 
  * - Attaches all event listeners.
@@ -69,6 +113,7 @@ function initializeChatbotUi() {
   const storedConversation = sessionStorage.getItem('conversation');
   if (storedConversation) {
     restoreConversation(storedConversation);
+    openActivityStream();
     continueChatbotApiRequests();
   } else {
     continueChatbotApiRequests();
@@ -88,9 +133,13 @@ function initializeChatbotUi() {
  * - Optionally: When the user clicks enter in the textarea, this is treated as clicking the 
  *   send button (this applies when the variable enterMeansSent is set to true). 
  * - The height of the textarea is adjusted each time the user interacts with the textarea. 
+ *   The first input of a new user message starts its typing duration (draftStartedAt). 
  * - Each time the size of the browser window is adjusted or the chatbot interface is opened, 
  *   the dialogue space gets automatically scrolled down to the newest messages and the height 
  *   of the input text area is adjusted. 
+ * - When the user taps on a failed user message, the message is sent again (see retryMessage). 
+ * - When the user clicks on a link in a bot message or card, the click is logged (see 
+ *   logActionClick). 
  * - Initially sets the height of the user message input field. 
  * 
  * @returns {void}
@@ -116,6 +165,21 @@ function attachChatbotEventListeners() {
 
   textarea.addEventListener('input', function() {
     adjustTextareaHeight(textarea, maxRows);
+    if (draftStartedAt === null && textarea.value) {
+      draftStartedAt = Date.now();
+    }
+  });
+
+  document.getElementById('messages').addEventListener('click', function(e) {
+    const failedMessage = e.target.closest('.message-failed');
+    if (failedMessage) {
+      retryMessage(failedMessage.dataset.clientSideMsgId);
+    }
+    const link = e.target.closest('a');
+    if (link) {
+      const activity = link.closest('[data-activity-id]');
+      logActionClick(activity ? activity.dataset.activityId : null, 'link', link.textContent, link.href, null);
+    }
   });
 
   window.addEventListener('resize', function () {
@@ -142,11 +206,19 @@ function attachChatbotEventListeners() {
  *   not currently ongoing (so only when startConvInProgress is false).
  * - Sets the startConvInProgress variable to true at the start of the function and sets it to
  *   false when the server responded successfully.
- * - Passes the treatmentGroup value to the server to request the server to initialize
- *   a new conversation with the chatbot. This process is repeated until the server sends
- *   a successfull response. 
- * - Receives the conversationId value from the server.
- * - Calls the getActivities() function to receive the initial welcome message by the chatbot. 
+ * - Passes the treatmentGroup value and the participant token (from which the server derives 
+ *   the treatment group) to the server to request the server to initialize
+ *   a new conversation with the chatbot. A failed request is retried up to maxRequestRetries 
+ *   times with increasing delays (see getRetryDelay). If all retries fail, a connection error 
+ *   with a retry button is displayed in the dialogue space (see showConnectionError). 
+ *   A rejected participant token is renewed before the retry (see renewParticipantToken in 
+ *   script.js). 
+ * - Receives the conversationId value and the conversation token (which the server requires 
+ *   for all requests of the conversation, see requireConversation in server.js) from the 
+ *   server and stores the conversation token in the session storage, so that it is part of 
+ *   the client state of a resumed survey. 
+ * - Opens the activity stream and calls the getActivities() function to receive the initial 
+ *   welcome message by the chatbot. 
  * 
  * @async
  * @returns {void}
@@ -157,28 +229,39 @@ async function startConversation() {
   sessionStorage.setItem('startConvInProgress', startConvInProgress);
   const treatmentGroup = sessionStorage.getItem('treatmentGroup');
   let data;
-  while (true) {
+  for (let attempt = 0; attempt <= maxRequestRetries; attempt++) {
+    if (attempt > 0) {
+      await new Promise(r => setTimeout(r, getRetryDelay(attempt)));
+    }
     try {
       const res = await fetch('/startconversation', {
         method: 'POST', 
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ treatmentGroup })
+        body: JSON.stringify({ treatmentGroup, participantToken: sessionStorage.getItem('participantToken') })
       });
+      if (res.status === 401) {
+        await renewParticipantToken();
+      }
       if (!res.ok) {
         throw new Error(`startConversation() - HTTP error! status: ${res.status}`);
       }
-      startConvInProgress = false;
-      sessionStorage.setItem('startConvInProgress', startConvInProgress);
       data = await res.json();
       break
     }
     catch (error) {
-      console.error('Error in startConversation:', error);
-      await new Promise(r => setTimeout(r, 2000));
+      console.error(`Error in startConversation (attempt ${attempt + 1}):`, error);
     }
   }
+  startConvInProgress = false;
+  sessionStorage.setItem('startConvInProgress', startConvInProgress);
+  if (!data) {
+    showConnectionError(startConversation);
+    return;
+  }
   console.log(`Treatment value: ${treatmentGroup}`); // Nur zum Testen
   conversationId = data.conversationId;
+  sessionStorage.setItem('conversationToken', data.conversationToken);
+  openActivityStream();
   getActivities();
 }
 
@@ -186,17 +269,70 @@ async function startConversation() {
  * Chatbot activity retrieval
  **************************************************************************/
 
+/**
+ * Opens the activity stream of the server to receive new chatbot activities as soon as the 
+ * chatbot produces them.
+ * 
+ * - This function is only executed if useActivityStream is true, the browser supports 
+ *   server-sent events and the activity stream has not failed before.
+ * - Passes the conversationId, watermark, participant token and conversation token to the 
+ *   server. The server 
+ *   sends the activities since the watermark and all later activities, each event containing 
+ *   the chatbot's reply together with the preceding activities (in the same format as the 
+ *   response of /getactivities).
+ * - Calls the processActivities(data) function for each event (calls the 
+ *   processInitialActivities(data) function instead if the chatbot is opened for the first 
+ *   time in a session).
+ * - If the stream fails (e.g. because the bot backend does not support streams or a proxy 
+ *   closes the connection), closes it, sets activityStreamFailed to true, stops waiting for 
+ *   the stream (pollInProgress) and polls the activities instead (unless a user message is 
+ *   still being sent, which polls the activities afterwards).
+ * 
+ * @returns {void}
+ */
+function openActivityStream() {
+  if (!useActivityStream || activityStreamFailed || activityStream || typeof EventSource === 'undefined') return;
+  const params = new URLSearchParams({ conversationId, watermark: watermark || '',
+    participantToken: sessionStorage.getItem('participantToken'),
+    conversationToken: sessionStorage.getItem('conversationToken') });
+  activityStream = new EventSource(`/activitystream?${params}`);
+
+  activityStream.addEventListener('activities', function(event) {
+    const data = JSON.parse(event.data);
+    const chatbotAlreadyOpenedCopy = sessionStorage.getItem('chatbotAlreadyOpened') === 'true';
+    chatbotAlreadyOpenedCopy ? processActivities(data) : processInitialActivities(data);
+  });
+
+  activityStream.addEventListener('error', function() {
+    console.error('Activity stream failed. Falling back to polling.');
+    activityStream.close();
+    activityStream = null;
+    activityStreamFailed = true;
+    pollInProgress = false;
+    if (!sendInProgress) {
+      getActivities();
+    }
+  });
+}
+
 /**
  * Requests the server to retrieve new chatbot activities.
  * 
+ * - This function is not executed while the activity stream is open, as the stream delivers 
+ *   the new activities. 
  * - This function is only executed of there are no current chatbot activity 
  *   retrieval processes ongoing (so only when pollInProgress is false).
  * - Sets the pollInProgress variable to true at the start of the function and sets it to
  *   false when the server responded successfully (in the processActivities function
  *   after displaying new messages).
- * - Passes the conversationId, watermark and treatmentGroup values to the server.
- * - Requests the server to receives the chatbot activities. Repeats the process until it 
- *   receives a successfull response from the server (to catch network errors).
+ * - Passes the conversationId, watermark and treatmentGroup values, the participant token and 
+ *   the conversation token to the server.
+ * - Requests the server to receives the chatbot activities. A failed request is retried up to 
+ *   maxRequestRetries times with increasing delays (see getRetryDelay). If all retries fail, 
+ *   hides the typing indicator, sets pollInProgress to false and continues with the next 
+ *   queued user message, so that the next exchange retrieves the missed activities. A 
+ *   rejected participant token is renewed before the retry (see renewParticipantToken in 
+ *   script.js). 
  * - Calls the processActivities(data) function to update the conversation state and 
  *   display new messages (calls the processInitialActivities(data) function instead 
  *   if the chatbot is opened for the first time in a session).
@@ -205,17 +341,26 @@ async function startConversation() {
  * @returns {void}
  */
 async function getActivities() {
+  if (activityStream) return;
   if (pollInProgress) return;
   pollInProgress = true;
   sessionStorage.setItem('pollInProgress', pollInProgress);
-  while (true) {
+  for (let attempt = 0; attempt <= maxRequestRetries; attempt++) {
+    if (attempt > 0) {
+      await new Promise(r => setTimeout(r, getRetryDelay(attempt)));
+    }
     try {
       const treatmentGroup = sessionStorage.getItem('treatmentGroup');
+      const participantToken = sessionStorage.getItem('participantToken');
+      const conversationToken = sessionStorage.getItem('conversationToken');
       const res = await fetch('/getactivities', {
         method: 'POST',
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ conversationId, watermark, treatmentGroup })
+        body: JSON.stringify({ conversationId, watermark, treatmentGroup, participantToken, conversationToken })
       });
+      if (res.status === 401) {
+        await renewParticipantToken();
+      }
       if (!res.ok) {
         throw new Error(`pollActivities() - HTTP error! status: ${res.status}`);
       }
@@ -224,70 +369,146 @@ async function getActivities() {
         const chatbotAlreadyOpenedCopy = sessionStorage.getItem('chatbotAlreadyOpened') === 'true';
         chatbotAlreadyOpenedCopy ? processActivities(data) : processInitialActivities(data);
       }
-      break
+      return;
     } catch (error) {
-      console.error('Error fetching activities. Retrying.', error);
-      await new Promise(r => setTimeout(r, 2000));
+      console.error(`Error fetching activities (attempt ${attempt + 1}).`, error);
     }
   }
+  toggleTypingIndicator('hide');
+  pollInProgress = false;
+  sessionStorage.setItem('pollInProgress', pollInProgress);
+  sendNextQueuedMessage();
+}
+
+/**
+ * Determines the delay before a retry of a failed request to the server.
+ * 
+ * - The delay starts at retryBaseDelay and is doubled for each further retry (exponential 
+ *   backoff), up to retryMaxDelay. 
+ * 
+ * @param {number} attempt - The number of the retry (starting at 1).
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempt) {
+  return Math.min(retryBaseDelay * 2 ** (attempt - 1), retryMaxDelay);
 }
 
 /**
  * Updates the conversation state and displays new messages. 
  * 
- * - Retrieves the conversation state from the session storage. 
- * - Hides the chatbot typing animation.
- * - Iterates through all chatbot activities, adds all new bot messages and their corresponding 
- *   activityIds to the conversation state, and displays all new messages. After having displayed 
- *   all new bot messages, sets the pollInProgress variable to false to enable new chatbot
- *   activity retrievals. 
- * - Adds an activityId to user messages which have not received an activityId yet due to 
- *   network errors. 
+ * - Queues the activities behind the activities received before, so that bot messages which 
+ *   are still held back (see holdBotMessage) are displayed first and no activity is processed 
+ *   twice. 
+ * 
+ * - Records the time at which the activities arrived at the client (arrivedAt), before they 
+ *   may be held back. 
+ * 
+ * @param {Array<{parameter: value}>} data - The data object containing the chatbot activities.
+ * @returns {Promise<void>} The processing of the activities.
+ */
+function processActivities(data) {
+  const arrivedAt = new Date().toISOString();
+  activityProcessing = activityProcessing
+    .then(() => processActivitiesInOrder(data, arrivedAt))
+    .catch(error => console.error('Error processing activities:', error));
+  return activityProcessing;
+}
+
+/**
+ * Updates the conversation state and displays new messages in the order of the activities. 
+ * 
+ * - Sets the pollInProgress variable to true while the activities are processed, so that no 
+ *   queued user message is sent before the chatbot's response has been displayed. 
+ * - Iterates through all chatbot activities. Holds each new bot message back until its 
+ *   simulated typing time has passed (see holdBotMessage), then displays it and adds it with 
+ *   its activityId, its typing time and the actually applied delay to the conversation state. 
+ *   Cards (attachments) and suggested actions of the message are displayed as well and 
+ *   stored with the message, so that they can be restored after a reload (see addBotActivity 
+ *   and showSuggestedActions). The display is logged in the paradata log (see 
+ *   logBotMessageDisplayed in paradata.js). 
+ * - Stores the timing of each bot message: the timestamp of the activity (activityTimestamp), 
+ *   the time at which the server received it (serverReceivedAt, see addServerReceivedAt in 
+ *   server.js), the times at which it arrived at the client (arrivedAt) and was displayed 
+ *   (renderedAt), and the latency in milliseconds between sending the user message it replies 
+ *   to and its arrival at the client (latency, null for messages without a sent user message). 
+ *   The conversation state is reloaded from the session storage after each hold, as user 
+ *   messages may have been added in the meantime. 
+ * - Adds an activityId to the user messages which are being sent and have not received an 
+ *   activityId yet due to network errors. Stores the timestamp of the activity of each user 
+ *   message (activityTimestamp). 
  * - Retrieves the finalState value metadata. If this value is true, sets the variable 
  *   finalStateReached to true, stores it in the session storage and triggers the 
  *   'dialogueFinishedEvent'.
+ * - After having displayed all new bot messages, hides the chatbot typing animation and sets 
+ *   the pollInProgress variable to false to enable new chatbot activity retrievals. Then sends 
+ *   the next queued user message, if any (see sendNextQueuedMessage). 
  * - Updates the watermark value. The watermark value indicates which activities have been 
  *   added since the chatbot activities were last called up. This ensures that only new 
  *   activities are requested from the chatbot.
  * - Saves the updated conversation state object in the session storage.
  * - Sets the state of the continueSurveytBtn (disabled vs. enabled).
  * 
+ * @async
  * @param {Array<{parameter: value}>} data - The data object containing the chatbot activities.
+ * @param {string} arrivedAt - The time at which the activities arrived at the client.
  * @returns {void}
  */
-function processActivities(data) {
+async function processActivitiesInOrder(data, arrivedAt) {
   let state = loadConversationState();
-  const newMessages = [];
-
-  if (!state.processedActivities) {
-    state.processedActivities = [];
-  }
-  toggleTypingIndicator('hide', typingAnimationDelay);
+  pollInProgress = true;
+  sessionStorage.setItem('pollInProgress', pollInProgress);
 
-  data.activities.forEach(act => {
-    if (act.type === 'message' && !state.processedActivities.includes(act.id)) {
-      const from = (act.from.id === 'user1') ? 'user' : 'bot';
-      if (from === 'bot') {
-        addMessage(act.text, from);
-        newMessages.push({ text: act.text, from, activityId: act.id, clientSideMsgId: null });
-        state.processedActivities.push(act.id);
-        if (act.channelData && act.channelData.dialogueState) {
-          state.dialogueStates.push([act.id, act.channelData.dialogueState])
-        }
-      } else {
-        clientSideMsgId = sessionStorage.getItem('clientSideMsgId');
-        saveConversationState(state);
-        linkUserMessageWithActivityId(act.id, clientSideMsgId);
-        state = loadConversationState();
+  for (const act of data.activities) {
+    if (act.type !== 'message') continue;
+    const from = (act.from.id === 'user1') ? 'user' : 'bot';
+    const processed = (state.processedActivities || []).includes(act.id);
+    if (from === 'bot' && processed) continue;
+    if (from === 'bot') {
+      const initial = !(state.messages || []).some(msg => msg.from === 'user');
+      const typingDelay = getTypingDelay(act.text, initial);
+      const appliedDelay = await holdBotMessage(typingDelay);
+      state = loadConversationState();
+      if (!state.processedActivities) {
+        state.processedActivities = [];
+      }
+      const message = { text: act.text, from, activityId: act.id, clientSideMsgId: null, typingDelay, appliedDelay,
+        ...getBotMessageTiming(act, arrivedAt, state) };
+      if (act.attachments && act.attachments.length > 0) {
+        message.attachments = act.attachments;
+      }
+      if (act.suggestedActions && act.suggestedActions.actions) {
+        message.suggestedActions = act.suggestedActions.actions;
+      }
+      addBotActivity(message);
+      showSuggestedActions(message.suggestedActions, act.id);
+      message.renderedAt = new Date().toISOString();
+      logBotMessageDisplayed(act.id);
+      state.messages.push(message);
+      state.processedActivities.push(act.id);
+      if (act.channelData && act.channelData.dialogueState) {
+        state.dialogueStates.push([act.id, act.channelData.dialogueState])
       }
-      if (act.channelData && act.channelData.finalState) {
-        finalStateReached = true
-        sessionStorage.setItem('finalStateReached', finalStateReached);
-        document.dispatchEvent(new CustomEvent('dialogueFinishedEvent'));
+      saveConversationState(state);
+    } else {
+      if (!processed) {
+        loadOutgoingQueue()
+          .filter(m => m.inFlight)
+          .forEach(m => linkUserMessageWithActivityId(act.id, m.clientSideMsgId));
       }
+      state = loadConversationState();
+      state.messages
+        .filter(m => m.from === 'user' && m.activityId === act.id)
+        .forEach(m => { m.activityTimestamp = act.timestamp || null; });
+      saveConversationState(state);
     }
-  });
+    if (act.channelData && act.channelData.finalState) {
+      finalStateReached = true
+      sessionStorage.setItem('finalStateReached', finalStateReached);
+      document.dispatchEvent(new CustomEvent('dialogueFinishedEvent'));
+    }
+  }
 
+  toggleTypingIndicator('hide', typingAnimationDelay);
   pollInProgress = false;
   sessionStorage.setItem('pollInProgress', pollInProgress);
 
@@ -297,10 +518,113 @@ function processActivities(data) {
   state.watermark = watermark;
   state.conversationId = conversationId;
 
-  state.messages = state.messages.concat(newMessages);
   saveConversationState(state);
   continueBtnStateMgmt();
   state.messages.forEach(msg => console.log(`Current state messages: ${msg.text}`)); //diese Zeile ist nur zum Testen in der Browser-Konsole
+  sendNextQueuedMessage();
+}
+
+/**
+ * Determines the timing of a bot message for the conversation log. 
+ * 
+ * - The latency is measured from the time at which the client sent the user message the bot 
+ *   message replies to (replyToId) until the arrival of the bot message at the client. 
+ * 
+ * @param {object} act - The activity of the bot message. 
+ * @param {string} arrivedAt - The time at which the activity arrived at the client. 
+ * @param {object} state - The conversation state object. 
+ * @returns {{activityTimestamp: string|null, serverReceivedAt: string|null, arrivedAt: string, 
+ * latency: number|null}} The timing of the bot message. 
+ */
+function getBotMessageTiming(act, arrivedAt, state) {
+  const userMessage = act.replyToId
+    ? state.messages.find(m => m.from === 'user' && m.activityId === act.replyToId && m.clientSentAt)
+    : null;
+  return {
+    activityTimestamp: act.timestamp || null,
+    serverReceivedAt: act.serverReceivedAt || null,
+    arrivedAt,
+    latency: userMessage ? Date.parse(arrivedAt) - Date.parse(userMessage.clientSentAt) : null
+  };
+}
+
+/**
+ * Determines the simulated typing time of a bot message according to the typingDelayModel. 
+ * 
+ * - Uses the model of the participant's treatment group if typingDelayModel is an array (the 
+ *   first model is used for treatment groups without a model). 
+ * - 'fixed': the same delay for each message ({ type: 'fixed', delay }). 
+ * - 'wpm': a delay based on the length of the message, as if the chatbot typed 
+ *   wordsPerMinute words per minute, plus a baseDelay ({ type: 'wpm', wordsPerMinute, baseDelay }). 
+ * - 'uniform': a random delay between min and max ({ type: 'uniform', min, max }). 
+ * - 'normal': a normally distributed random delay ({ type: 'normal', mean, sd }). 
+ * - The optional initialDelay of the model is used instead for the bot messages before the 
+ *   first user message (e.g. the welcome message). 
+ * - The delay is limited to the optional minDelay and maxDelay of the model. 
+ * 
+ * @param {string} text - The text of the bot message.
+ * @param {boolean} initial - Whether the participant has not sent a message yet.
+ * @returns {number} The typing time in milliseconds.
+ */
+function getTypingDelay(text, initial) {
+  const treatmentGroup = Number(sessionStorage.getItem('treatmentGroup'));
+  const model = Array.isArray(typingDelayModel)
+    ? (typingDelayModel[treatmentGroup] || typingDelayModel[0])
+    : typingDelayModel;
+  let delay;
+  switch (initial && model.initialDelay !== undefined ? 'initial' : model.type) {
+    case 'initial':
+      delay = model.initialDelay;
+      break;
+    case 'wpm': {
+      const words = (text || '').trim().split(/\s+/).filter(Boolean).length;
+      delay = (model.baseDelay || 0) + words / model.wordsPerMinute * 60000;
+      break;
+    }
+    case 'uniform':
+      delay = model.min + Math.random() * (model.max - model.min);
+      break;
+    case 'normal': {
+      const standardNormal = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+      delay = model.mean + model.sd * standardNormal;
+      break;
+    }
+    default:
+      delay = model.delay;
+  }
+  delay = Math.max(delay, model.minDelay || 0);
+  if (model.maxDelay !== undefined) {
+    delay = Math.min(delay, model.maxDelay);
+  }
+  return Math.round(delay);
+}
+
+/**
+ * Holds a bot message back until its simulated typing time has passed. 
+ * 
+ * - The typing time is measured from typingStart (the time of the last user message, of 
+ *   opening the chatbot or of the previous bot message), so the time the chatbot needed to 
+ *   respond counts towards it. If the response took longer than the typing time, the message 
+ *   is not held back. 
+ * - Shows the typing indicator while the message is held back and hides it afterwards. 
+ * - Sets typingStart to the time the message is displayed. 
+ * 
+ * @async
+ * @param {number} typingDelay - The simulated typing time in milliseconds.
+ * @returns {Promise<number>} The delay in milliseconds which was actually applied.
+ */
+async function holdBotMessage(typingDelay) {
+  const arrival = Date.now();
+  const remaining = typingStart + typingDelay - arrival;
+  if (remaining > 0) {
+    if (!document.getElementById('typingIndicator') && !typingIndicatorTimeout) {
+      toggleTypingIndicator('show', 0);
+    }
+    await new Promise(r => setTimeout(r, remaining));
+  }
+  toggleTypingIndicator('hide');
+  typingStart = Date.now();
+  return typingStart - arrival;
 }
 
 /**
@@ -314,7 +638,8 @@ function processActivities(data) {
  * - When the user opens the chatbot interface for the first time: displays the initial bot 
  *   message typing animation (using the toggleTypingIndicator function) and executes the 
  *   processActivities(data) function to update the conversation state and display the initial 
- *   welcome message by the chatbot. 
+ *   welcome message by the chatbot. The typing time of the welcome message is measured from 
+ *   this moment. 
  * 
  * @param {Array<{parameter: value}>} data - The data object containing the chatbot activities. 
  * @returns {void}
@@ -325,8 +650,9 @@ function processInitialActivities(data) {
   document.addEventListener('userArrivedAtChatbot', function() {
     pollInProgress = true;
     sessionStorage.setItem('pollInProgress', pollInProgress);
+    typingStart = Date.now();
     toggleTypingIndicator('show', initialTypingAnimationDelay);
-    setTimeout(() => {processActivities(data)}, initialBotMessageDelay);
+    processActivities(data);
   })
 }
 
@@ -338,13 +664,9 @@ function processInitialActivities(data) {
  * Collects new user messages. 
  * 
  * - Deletes the user message from the user input field.
- * - Generates a clientSideMsgId variable for the user message. This variable
- *   is used as an identifier for the user message in the client side code. 
- * - Displays the new user messages in the dialogue space.
- * - Adds new user messages (without an activityId) to the conversation state. 
- * - Sets the state of the continueSurveytBtn (disabled vs. enabled).
- * - Calls the sendUserMessage function to request the server to send the new user 
- *   message to the chatbot. 
+ * - Passes the user message to the queueUserMessage function together with its typing 
+ *   duration (the time since the first input of the message) and logs the chatbot turn in 
+ *   the paradata log (see logChatbotTurn in paradata.js). 
  * 
  * @async
  * @returns {void}
@@ -355,12 +677,109 @@ async function collectUserMessage() {
   if (!text) return;
   input.value = ''; 
 
-  clientSideMsgId = generateClientSideMsgId();
+  const typingDuration = draftStartedAt !== null ? Date.now() - draftStartedAt : null;
+  draftStartedAt = null;
+  const clientSideMsgId = queueUserMessage(text, typingDuration);
+  logChatbotTurn(clientSideMsgId, 'typed');
+}
+
+/**
+ * Queues a new user message for sending. 
+ * 
+ * - This function is called with the messages typed by the user (see collectUserMessage) and 
+ *   with the values of the suggested actions and card buttons clicked by the user (see 
+ *   selectAction). 
+ * - Removes the suggested actions of the last bot message from the dialogue space. 
+ * - Generates a clientSideMsgId variable for the user message. This variable
+ *   is used as an identifier for the user message in the client side code. 
+ * - Displays the new user messages in the dialogue space with the delivery status 'sending'.
+ * - Adds new user messages (without an activityId and with the status 'sending') to the 
+ *   conversation state, together with the time at which the user sent the message 
+ *   (createdAt) and its typing duration. 
+ * - Sets the state of the continueSurveytBtn (disabled vs. enabled).
+ * - Adds the new user message to the outgoing message queue and calls the 
+ *   sendNextQueuedMessage function, which sends it to the server right away unless the 
+ *   chatbot is still answering a previous message. 
+ * 
+ * @param {string} text - The text of the user message. 
+ * @param {number|null} [typingDuration] - The time in milliseconds the user needed to write 
+ * the message (null for clicked actions). 
+ * @returns {string} The clientSideMsgId of the user message. 
+ */
+function queueUserMessage(text, typingDuration = null) {
+  removeSuggestedActions();
+  const clientSideMsgId = generateClientSideMsgId();
 
-  addMessage(text, 'user');
-  addMessageToState(text, 'user', null, clientSideMsgId); 
+  addMessage(text, 'user', clientSideMsgId, 'sending');
+  addMessageToState(text, 'user', null, clientSideMsgId, { createdAt: new Date().toISOString(), typingDuration }); 
   continueBtnStateMgmt();
-  sendUserMessage(text, clientSideMsgId);
+  const queue = loadOutgoingQueue();
+  queue.push({ text, clientSideMsgId, inFlight: false });
+  saveOutgoingQueue(queue);
+  sendNextQueuedMessage();
+  return clientSideMsgId;
+}
+
+/**
+ * Sends the value of a suggested action or card button clicked by the user. 
+ * 
+ * - Passes the text of the action (see getActionText) to the queueUserMessage function, so 
+ *   that it is sent to the chatbot like a typed message. 
+ * - Logs the click (see logActionClick) and the chatbot turn in the paradata log (see 
+ *   logChatbotTurn in paradata.js). 
+ * 
+ * @param {{type: string, title: string, value: *}} action - The clicked action (in the format 
+ * of the Bot Framework card actions). 
+ * @param {string} activityId - The activityId of the bot message with the action. 
+ * @param {string} source - The kind of the action ('suggestedAction' or 'card'). 
+ * @returns {void}
+ */
+function selectAction(action, activityId, source) {
+  const text = getActionText(action);
+  if (!text) return;
+  const clientSideMsgId = queueUserMessage(text);
+  logActionClick(activityId, source, action.title, text, clientSideMsgId);
+  logChatbotTurn(clientSideMsgId, 'action');
+}
+
+/**
+ * Determines the text which is sent when the user clicks on an action. 
+ * 
+ * - messageBack actions send their displayText or text, all other actions their value if it 
+ *   is a string (e.g. imBack actions) and their title otherwise. 
+ * 
+ * @param {{type: string, title: string, value: *, text: string, displayText: string}} action - 
+ * The clicked action. 
+ * @returns {string} The text of the user message. 
+ */
+function getActionText(action) {
+  if (action.type === 'messageBack') {
+    return action.displayText || action.text || action.title;
+  }
+  return typeof action.value === 'string' && action.value ? action.value : action.title;
+}
+
+/**
+ * Logs a click on a suggested action, card button or link in the conversation state. 
+ * 
+ * - The clicks are stored in the actionClicks array of the conversation state, together with 
+ *   the activityId of the bot message, the title and value of the action, the clientSideMsgId 
+ *   of the user message which was sent (null for links) and the time of the click. 
+ * 
+ * @param {string|null} activityId - The activityId of the bot message with the action. 
+ * @param {string} source - The kind of the action ('suggestedAction', 'card' or 'link'). 
+ * @param {string} title - The title of the action or the text of the link. 
+ * @param {string} value - The sent text or the url of the link. 
+ * @param {string|null} clientSideMsgId - The identifier of the sent user message. 
+ * @returns {void}
+ */
+function logActionClick(activityId, source, title, value, clientSideMsgId) {
+  const state = loadConversationState();
+  if (!state.actionClicks) {
+    state.actionClicks = [];
+  }
+  state.actionClicks.push({ activityId, source, title, value, clientSideMsgId, timestamp: new Date().toISOString() });
+  saveConversationState(state);
 }
 
 /**
@@ -374,56 +793,135 @@ function generateClientSideMsgId() {
   return 'msg-' + Date.now() + '-' + Math.floor(Math.random() * 100000);
 }
 
+/**
+ * Sends the next queued user message to the server. 
+ * 
+ * - User messages are queued in the session storage (see collectUserMessage) so that messages 
+ *   written while the chatbot is answering are sent in order after the current exchange has 
+ *   finished instead of being dropped. This function is therefore not executed while a user 
+ *   message is being sent (sendInProgress) or the chatbot's response has not been displayed 
+ *   yet (pollInProgress); it is called again when these processes are finished. 
+ * - If messages are already marked as in flight (because the page was reloaded while they were 
+ *   sent), these messages are sent again, so that the server can recognize them as duplicates. 
+ * - Otherwise, marks the first queued message (or all queued messages if mergeQueuedMessages 
+ *   is true) as in flight and calls the sendUserMessage function with their texts, separated 
+ *   by line breaks. 
+ * 
+ * @returns {void}
+ */
+function sendNextQueuedMessage() {
+  if (!conversationId || sendInProgress || pollInProgress) return;
+  const queue = loadOutgoingQueue();
+  if (queue.length === 0) return;
+
+  let batch = queue.filter(m => m.inFlight);
+  if (batch.length === 0) {
+    batch = mergeQueuedMessages ? queue : [queue[0]];
+    batch.forEach(m => { m.inFlight = true; });
+    saveOutgoingQueue(queue);
+  }
+  sendUserMessage(batch.map(m => m.text).join('\n'), batch.map(m => m.clientSideMsgId));
+}
+
+/**
+ * Loads the outgoing message queue from the session storage.
+ * 
+ * @returns {Array<{text: string, clientSideMsgId: string, inFlight: boolean}>} The queued user 
+ * messages which have not been delivered to the chatbot yet. 
+ */
+function loadOutgoingQueue() {
+  const stored = sessionStorage.getItem('outgoingQueue');
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Stores the outgoing message queue in the session storage.
+ * 
+ * @param {Array<{text: string, clientSideMsgId: string, inFlight: boolean}>} queue - The queued 
+ * user messages. 
+ * @returns {void}
+ */
+function saveOutgoingQueue(queue) {
+  sessionStorage.setItem('outgoingQueue', JSON.stringify(queue));
+}
+
 /**
  * Sends a user message to the server. 
  * 
+ * - This function is called by the sendNextQueuedMessage function with the next queued user 
+ *   message (or the merged queued user messages). 
  * - Displays the chatbot typing animation in the dialogue space.
  * - If the variable sendInProgress is true (meaning there is still another user message 
  *   sending) or if the variable pollInProgress is true (meaning there is still a chatbot 
  *   activity retrieval process ongoing) this function is not executed. This is done to 
- *   ensure that new user messages are processed one by one and that a new user message 
- *   can only be sent to the server to be send to the chatbot when the client has received 
- *   and displayed the chatbot response to the previous user message. Any user message 
- *   created by the user in the meantime is displayed in the interface but not forwarded to
- *   the server and the chatbot and is therefore not answered. 
+ *   ensure that user messages are processed one by one and that a new user message can 
+ *   only be sent to the server to be send to the chatbot when the client has received and 
+ *   displayed the chatbot response to the previous user message. The message stays in the 
+ *   outgoing message queue in this case and is sent when the current exchange has finished. 
  * - Sets the sendInProgress variable to true at the start of the function and sets it to
  *   false when the server responded successfully. This is done to ensure that no other 
  *   sendUserMessageProcess can be started while the current sending process is ongoing. 
- * - Requests the server to send a new user message to the chatbot. Repeats this request
- *   until the server has sent a successfull response (to catch network errors). If an 
- *   error occurs, it is checked whether this error is a TypeError including the phrase
- *   "NetworkError". This is the case when the client was able to send the message to the 
- *   server, but the connection was lost before the server could send a successfull reply. 
- *   In this case, the loop is interrupted to prevent that the message is sent to the server
- *   a second time. Otherwise, when an error is caused by the fact that the connection was
- *   lost before the client could send the message to the server, the loop is continued to 
- *   retry sending the message to the server. 
- * - Retrieves the corresponding activityId assigned by the chatbot and adds it to the 
- *   conversation state using the linkLastUserMessageWithActivityId(activityId) function. 
- * - Calls the getActivities() function to receive the chatbot's response. 
+ *   If the activity stream is open, also sets the pollInProgress variable to true until 
+ *   the stream has delivered the chatbot's response. 
+ * - Sets typingStart, from which the typing time of the chatbot's reply is measured. 
+ * - Requests the server to send a new user message to the chatbot (with the participant token, 
+ *   from which the server derives the treatment group, and the conversation token). A failed request is retried 
+ *   up to maxRequestRetries times with increasing delays (see getRetryDelay), a rejected 
+ *   participant token is renewed before the retry (see renewParticipantToken in script.js). 
+ *   The first clientSideMsgId identifies the message on the server, so that a repeated 
+ *   request is not forwarded to the chatbot a second time. 
+ * - Retrieves the corresponding activityId assigned by the chatbot and adds it to the sent 
+ *   user messages in the conversation state using the linkUserMessageWithActivityId function, 
+ *   which marks them as delivered. Stores the time at which the client sent the messages 
+ *   (clientSentAt, before the first attempt) and the time at which the server received them 
+ *   (serverReceivedAt) in the conversation state (see addMessageTiming). If all retries fail, marks the messages as failed, so that 
+ *   the user can retry them (see retryMessage). In both cases, removes the messages from the 
+ *   outgoing message queue. 
+ * - Calls the getActivities() function to receive the chatbot's response (if the message was 
+ *   delivered) and the sendNextQueuedMessage function, which sends the next queued message as 
+ *   soon as the response has been displayed. 
  * 
  * @async
  * @param {str} text - The text of the user message to be sent. 
+ * @param {string[]} clientSideMsgIds - The identifiers of the sent user messages (more than one 
+ * if queued messages are merged). 
  * @returns {void}
  */
-async function sendUserMessage(text, clientSideMsgId) {
+async function sendUserMessage(text, clientSideMsgIds) {
   toggleTypingIndicator('show', typingAnimationDelay);
   if (sendInProgress) return;
   if (pollInProgress) return;
   sendInProgress = true;
   sessionStorage.setItem('sendInProgress', sendInProgress);
-  sessionStorage.setItem('clientSideMsgId', clientSideMsgId);
+  if (activityStream) {
+    pollInProgress = true;
+    sessionStorage.setItem('pollInProgress', pollInProgress);
+  }
+  typingStart = Date.now();
+  const clientSentAt = new Date().toISOString();
+  clientSideMsgIds.forEach(id => addMessageTiming(id, { clientSentAt }));
   const treatmentGroup = sessionStorage.getItem('treatmentGroup');
+  const clientSideMsgId = clientSideMsgIds[0];
   let activityId;
+  let serverReceivedAt = null;
 
-  while (true) {
+  for (let attempt = 0; attempt <= maxRequestRetries; attempt++) {
+    if (attempt > 0) {
+      await new Promise(r => setTimeout(r, getRetryDelay(attempt)));
+    }
     try{
+      const participantToken = sessionStorage.getItem('participantToken');
+      const conversationToken = sessionStorage.getItem('conversationToken');
       const res = await fetch('/sendmessage', {
         method: 'POST',
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ conversationId, text, treatmentGroup, clientSideMsgId })
+        body: JSON.stringify({ conversationId, text, treatmentGroup, participantToken, conversationToken,
+          clientSideMsgId })
       });
 
+      if (res.status === 401) {
+        await renewParticipantToken();
+      }
       if (!res.ok) {
         throw new Error(`sendUserMessage() - HTTP error! status: ${res.status}`);
       }
@@ -432,32 +930,72 @@ async function sendUserMessage(text, clientSideMsgId) {
 
       if (respData.id) {
         activityId = respData.id;
-        linkUserMessageWithActivityId(activityId, clientSideMsgId);
+        serverReceivedAt = respData.receivedAt || null;
         break;
       }
 
       if (respData.status === 'in_progress') {
-        await new Promise(r => setTimeout(r, 2000));
         continue;
       }
 
       throw new Error(`Unknown server response: ${JSON.stringify(respData)}`);
 
     } catch (error) {
-      console.error('Error sending user message. Retrying.', error);
-      await new Promise(r => setTimeout(r, 2000)); 
+      console.error(`Error sending user message (attempt ${attempt + 1}).`, error);
     }
   }
+
+  if (activityId) {
+    clientSideMsgIds.forEach(id => {
+      linkUserMessageWithActivityId(activityId, id);
+      addMessageTiming(id, { serverReceivedAt });
+    });
+  } else {
+    clientSideMsgIds.forEach(id => setMessageStatus(id, 'failed'));
+    toggleTypingIndicator('hide');
+    pollInProgress = false;
+    sessionStorage.setItem('pollInProgress', pollInProgress);
+  }
+  saveOutgoingQueue(loadOutgoingQueue().filter(m => !clientSideMsgIds.includes(m.clientSideMsgId)));
   sendInProgress = false;
   sessionStorage.setItem('sendInProgress', sendInProgress);
-  getActivities();
+  if (activityId) {
+    getActivities();
+  }
+  sendNextQueuedMessage();
+}
+
+/**
+ * Sends a failed user message again. 
+ * 
+ * - This function is called when the user taps on a message with the delivery status 
+ *   'failed'. 
+ * - Sets the status of the message to 'sending', adds it to the outgoing message queue (with 
+ *   its original clientSideMsgId, so that the server does not forward it twice if the first 
+ *   attempt has reached the chatbot after all) and calls the sendNextQueuedMessage function. 
+ * 
+ * @param {string} clientSideMsgId - The identifier of the failed user message. 
+ * @returns {void}
+ */
+function retryMessage(clientSideMsgId) {
+  const message = loadConversationState().messages.find(
+    m => m.from === 'user' && m.clientSideMsgId === clientSideMsgId
+  );
+  if (!message || message.status !== 'failed') return;
+  setMessageStatus(clientSideMsgId, 'sending');
+  const queue = loadOutgoingQueue();
+  queue.push({ text: message.text, clientSideMsgId, inFlight: false });
+  saveOutgoingQueue(queue);
+  sendNextQueuedMessage();
 }
 
 /**
  * Adds a new message to the conversation state. 
  * 
  * - Retrieves the conversation state from the session storage.
- * - Adds the message to the conversation state object.
+ * - Adds the message to the conversation state object. User messages get the delivery status 
+ *   'sending' ('delivered' once they have an activityId), so that messages which never 
+ *   reached the chatbot can be identified in the conversation log. 
  * - Saves the updated conversation state object in the session storage. 
  * 
  * @param {string} text - The text of the message.
@@ -466,11 +1004,16 @@ async function sendUserMessage(text, clientSideMsgId) {
  * the Microsoft Bot Framework.
  * @param {string} clientSideMsgId - The message identifier for client messages.
  * This value is null for bot messages. 
+ * @param {object} [timing] - The timing of the message (e.g. createdAt and typingDuration). 
  * @returns {void}
  */
-function addMessageToState(text, from, activityId, clientSideMsgId) {
+function addMessageToState(text, from, activityId, clientSideMsgId, timing = {}) {
   let state = loadConversationState();
-  state.messages.push({ text, from, activityId, clientSideMsgId });
+  const message = { text, from, activityId, clientSideMsgId, ...timing };
+  if (from === 'user') {
+    message.status = activityId !== null ? 'delivered' : 'sending';
+  }
+  state.messages.push(message);
   saveConversationState(state);
 }
 
@@ -479,7 +1022,8 @@ function addMessageToState(text, from, activityId, clientSideMsgId) {
  * 
  * - Retrieves the conversation state from the session storage. 
  * - Adds the activityId of a user message identified by clientSideMsgId to this 
- *   message and the processedActivities array in the conversation state object. 
+ *   message and the processedActivities array in the conversation state object and sets 
+ *   the delivery status of the message to 'delivered' (also in the dialogue space). 
  * - Saves the updated conversation state object in the session storage. 
  * 
  * @param {string} activityId - The activityId to be added. 
@@ -494,11 +1038,51 @@ function linkUserMessageWithActivityId(activityId, clientSideMsgId) {
   );
   if (message) {
     message.activityId = activityId;
+    message.status = 'delivered';
     if (!state.processedActivities.includes(activityId)) {
       state.processedActivities.push(activityId);
     }
   }
   saveConversationState(state);
+  renderMessageStatus(clientSideMsgId, 'delivered');
+}
+
+/**
+ * Adds timing values to a user message in the conversation state. 
+ * 
+ * @param {string} clientSideMsgId - The identifier of the user message. 
+ * @param {object} timing - The timing values (e.g. clientSentAt or serverReceivedAt). 
+ * @returns {void}
+ */
+function addMessageTiming(clientSideMsgId, timing) {
+  const state = loadConversationState();
+  const message = state.messages.find(
+    m => m.from === 'user' && m.clientSideMsgId === clientSideMsgId
+  );
+  if (message) {
+    Object.assign(message, timing);
+    saveConversationState(state);
+  }
+}
+
+/**
+ * Sets the delivery status of a user message in the conversation state and in the dialogue 
+ * space. 
+ * 
+ * @param {string} clientSideMsgId - The identifier of the user message. 
+ * @param {string} status - The delivery status ('sending', 'delivered' or 'failed'). 
+ * @returns {void}
+ */
+function setMessageStatus(clientSideMsgId, status) {
+  const state = loadConversationState();
+  const message = state.messages.find(
+    m => m.from === 'user' && m.clientSideMsgId === clientSideMsgId
+  );
+  if (message) {
+    message.status = status;
+    saveConversationState(state);
+  }
+  renderMessageStatus(clientSideMsgId, status);
 }
 
 /**************************************************************************
@@ -513,7 +1097,8 @@ function linkUserMessageWithActivityId(activityId, clientSideMsgId) {
  * - This function is called as soon as the "surveyDataInitialized" is triggered if there is a 
  *   conversation stored in the session storage. 
  * - Retrieves the conversationId value and the latest stored watermark value.
- * - Restores all previously generated messages from the conversation.
+ * - Restores all previously generated messages (including cards) from the conversation and 
+ *   the suggested actions of the last message, if it is a bot message. 
  * 
  * @returns {void}
  */
@@ -521,7 +1106,13 @@ function restoreConversation(storedConversation) {
   const conv = JSON.parse(storedConversation);
   conversationId = conv.conversationId;
   watermark = conv.watermark;
-  conv.messages.forEach(msg => addMessage(msg.text, msg.from));
+  conv.messages.forEach(msg => msg.from === 'bot'
+    ? addBotActivity(msg)
+    : addMessage(msg.text, msg.from, msg.clientSideMsgId, msg.status));
+  const lastMessage = conv.messages[conv.messages.length - 1];
+  if (lastMessage && lastMessage.from === 'bot') {
+    showSuggestedActions(lastMessage.suggestedActions, lastMessage.activityId);
+  }
 }
 
 /**
@@ -537,14 +1128,10 @@ function restoreConversation(storedConversation) {
  *   to retrieve new activities from the api, the function getActivities is called. For 
  *   this, the pollInProgress flag is temporarily set to false to enable the 
  *   getActivities function to be executed. Additionally, shows the typing indicator. 
- * - If the sendInProgress variable is true, meaning that there is an ongoing request
- *   to send a new user message to the chatbot api, the text of this outstanding user
- *   message is retrieved from the conversationState and the stored clientSideMsgId of 
- *   this message, and the function sendUserMessage is called. For this, the 
- *   sendInProgress flag is temporarily set to false to enable the sendUserMessage 
- *   function to be executed. If the corresponding user message cannot be found in the 
- *   conversationState, the sendUserMessage function is not called and the sendInProgress
- *   flag is set to false to enable the processing of new user messages. 
+ * - Sets the sendInProgress flag to false and calls the sendNextQueuedMessage function, which 
+ *   sends the user messages that were still in the outgoing message queue (including a 
+ *   message whose sending was interrupted by the reload) once no activity retrieval is 
+ *   ongoing anymore. 
  * 
  * @returns {void}
  */
@@ -557,21 +1144,10 @@ function continueChatbotApiRequests() {
     pollInProgress = false;
     toggleTypingIndicator('show', typingAnimationDelay);
     getActivities();
-  } else if (sendInProgress) {
-    let state = loadConversationState();
-    clientSideMsgId = sessionStorage.getItem('clientSideMsgId');
-    let message = state.messages.find(
-      m => m.from === 'user' && m.clientSideMsgId === clientSideMsgId
-    );
-    if (message && message.from === 'user' && message.activityId === null) {
-      let userMessageText = message.text;
-      sendInProgress = false;
-      sendUserMessage(userMessageText, clientSideMsgId);
-    } else {
-      sendInProgress = false;
-      sessionStorage.setItem('sendInProgress', sendInProgress);
-    }
   }
+  sendInProgress = false;
+  sessionStorage.setItem('sendInProgress', sendInProgress);
+  sendNextQueuedMessage();
 }
 
 /**
@@ -580,16 +1156,19 @@ function continueChatbotApiRequests() {
  * @returns {{conversationId: string, 
  *            watermark: number, 
  *            messages: any[], 
- *            processedActivities: any[]}} The conversation state object. 
+ *            processedActivities: any[], 
+ *            actionClicks: any[]}} The conversation state object. 
  */
 function loadConversationState() {
   const stored = sessionStorage.getItem('conversation');
-  return stored ? JSON.parse(stored) : { conversationId, watermark, messages: [], processedActivities: [], dialogueStates: []};
+  return stored ? JSON.parse(stored) : { conversationId, watermark, messages: [], processedActivities: [], dialogueStates: [], actionClicks: []};
 }
 
 /**
  * Stores the conversation state object in the session storage. 
  * 
+ * - Queues a checkpoint of the survey progress (see scheduleCheckpoint in script.js).
+ * 
  * @param {{conversationId: string, 
 *            watermark: number, 
 *            messages: any[], 
@@ -598,6 +1177,7 @@ function loadConversationState() {
 */
 function saveConversationState(state) {
   sessionStorage.setItem('conversation', JSON.stringify(state));
+  scheduleCheckpoint();
 }
 
 /**
@@ -648,19 +1228,411 @@ function continueButtonActivationTest() {
 /**
  * Displays new messages in the chatbot interface.
  * 
- * - Creates a new html element with the message. 
+ * - Creates a new html element with the message. The text of bot messages is rendered as 
+ *   markdown (see renderMarkdown), the text of user messages as plain text. 
+ * - For user messages, stores the clientSideMsgId in the element and displays the delivery 
+ *   status below the text (see renderMessageStatus). 
  * - Scrolls to the bottom in the dialogue space. 
  * 
  * @param {string} text - The text of the message to be added. 
  * @param {string} from - The author of the message ("user1" vs. "Test_Chatbot_1"). // TODO: "user1" und "Test_Chatbot_1" noch korrigieren. 
- * @returns {void}
+ * @param {string} [clientSideMsgId] - The identifier of a user message. 
+ * @param {string} [status] - The delivery status of a user message ('sending', 'delivered' or 
+ * 'failed'). 
+ * @returns {HTMLElement} The html element of the message. 
  */
-function addMessage(text, from) {
+function addMessage(text, from, clientSideMsgId, status) {
   const messagesDiv = document.getElementById('messages');
   const msgDiv = document.createElement('div');
   msgDiv.classList.add('message', from === 'user' ? 'user-message' : 'bot-message');
-  msgDiv.textContent = text;
+  if (from === 'user') {
+    msgDiv.textContent = text;
+  } else {
+    renderMarkdown(text, msgDiv);
+  }
   messagesDiv.appendChild(msgDiv);
+  if (from === 'user' && clientSideMsgId) {
+    msgDiv.dataset.clientSideMsgId = clientSideMsgId;
+    if (status) {
+      renderMessageStatus(clientSideMsgId, status);
+    }
+  }
+  scrollMessagesToBottom();
+  return msgDiv;
+}
+
+/**
+ * Displays a bot message with its cards in the chatbot interface. 
+ * 
+ * - Displays the text of the message, if any (bot messages may only consist of cards), and 
+ *   each of its attachments as a card (see addCard). 
+ * - Stores the activityId of the message in the html elements, so that clicks on links can be 
+ *   assigned to the message (see logActionClick). 
+ * 
+ * @param {{text: string, activityId: string, attachments: object[]}} message - The bot message 
+ * from the conversation state. 
+ * @returns {void}
+ */
+function addBotActivity(message) {
+  if (message.text) {
+    const msgDiv = addMessage(message.text, 'bot');
+    msgDiv.dataset.activityId = message.activityId;
+  }
+  (message.attachments || []).forEach(attachment => addCard(attachment, message.activityId));
+}
+
+/**
+ * Renders a subset of markdown safely into an html element. 
+ * 
+ * - Supports line breaks, **bold**, *italic* and `code` text, [links](https://...) and bare 
+ *   urls. Formatting cannot be nested. 
+ * - The text is never interpreted as html: all elements are created as DOM nodes and the 
+ *   remaining text is added as text nodes. 
+ * - Links are only created for urls with one of the safeLinkProtocols and open in a new tab. 
+ * 
+ * @param {string} text - The markdown text. 
+ * @param {HTMLElement} container - The html element to render the text into. 
+ * @returns {void}
+ */
+function renderMarkdown(text, container) {
+  const markdownPattern = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|`([^`]+)`|(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g;
+  (text || '').split('\n').forEach((line, index) => {
+    if (index > 0) {
+      container.appendChild(document.createElement('br'));
+    }
+    let position = 0;
+    for (const match of line.matchAll(markdownPattern)) {
+      container.appendChild(document.createTextNode(line.slice(position, match.index)));
+      container.appendChild(createMarkdownNode(match));
+      position = match.index + match[0].length;
+    }
+    container.appendChild(document.createTextNode(line.slice(position)));
+  });
+}
+
+/**
+ * Creates the DOM node of a markdown element found by renderMarkdown. 
+ * 
+ * @param {string[]} match - The match of the markdown pattern. 
+ * @returns {Node} The link, strong, em or code element (or a text node for unsafe links). 
+ */
+function createMarkdownNode(match) {
+  const [source, linkText, linkUrl, bold, italic, code, url] = match;
+  if (linkUrl !== undefined || url !== undefined) {
+    const href = getSafeUrl(linkUrl || url);
+    return href ? createLink(linkText || url, href) : document.createTextNode(linkText || source);
+  }
+  const element = document.createElement(bold !== undefined ? 'strong' : italic !== undefined ? 'em' : 'code');
+  element.textContent = bold !== undefined ? bold : italic !== undefined ? italic : code;
+  return element;
+}
+
+/**
+ * Creates a link which opens in a new tab. 
+ * 
+ * @param {string} text - The text of the link. 
+ * @param {string} href - The safe url of the link (see getSafeUrl). 
+ * @returns {HTMLAnchorElement} The link element. 
+ */
+function createLink(text, href) {
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = text;
+  return link;
+}
+
+/**
+ * Checks whether a url is safe to be displayed as link or image. 
+ * 
+ * @param {string} url - The url sent by the chatbot. 
+ * @param {string[]} [protocols=safeLinkProtocols] - The allowed protocols. 
+ * @returns {string|null} The absolute url, or null if the url is invalid or has another protocol. 
+ */
+function getSafeUrl(url, protocols = safeLinkProtocols) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return protocols.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Displays an attachment of a bot message as a card in the chatbot interface. 
+ * 
+ * - Supports hero and thumbnail cards (images, title, subtitle, text and buttons) and a subset 
+ *   of Adaptive Cards (see renderAdaptiveCardElement; Action.Submit and Action.OpenUrl 
+ *   actions). Other attachments and unsupported card elements are not displayed. 
+ * - Texts are rendered as markdown (see renderMarkdown). Buttons which send a value are 
+ *   rendered as card buttons (see createActionButton), openUrl buttons as links. 
+ * 
+ * @param {{contentType: string, content: object}} attachment - The attachment of the bot message. 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @returns {void}
+ */
+function addCard(attachment, activityId) {
+  const content = attachment.content || {};
+  const cardDiv = document.createElement('div');
+  cardDiv.classList.add('bot-card');
+  cardDiv.dataset.activityId = activityId;
+  let actions;
+  switch (attachment.contentType) {
+    case 'application/vnd.microsoft.card.hero':
+    case 'application/vnd.microsoft.card.thumbnail':
+      (content.images || []).forEach(image => appendCardImage(cardDiv, image.url, image.alt));
+      appendCardText(cardDiv, content.title, 'card-title');
+      appendCardText(cardDiv, content.subtitle, 'card-subtitle');
+      appendCardText(cardDiv, content.text, 'card-text');
+      actions = content.buttons || [];
+      break;
+    case 'application/vnd.microsoft.card.adaptive':
+      (content.body || []).forEach(element => renderAdaptiveCardElement(element, cardDiv, activityId));
+      actions = (content.actions || []).map(toCardAction).filter(Boolean);
+      break;
+    default:
+      return;
+  }
+  appendCardActions(cardDiv, actions, activityId);
+  if (!cardDiv.hasChildNodes()) return;
+  document.getElementById('messages').appendChild(cardDiv);
+  scrollMessagesToBottom();
+}
+
+/**
+ * Renders an element of an Adaptive Card into a card. 
+ * 
+ * - Supports TextBlock (bold for weight 'Bolder' or a large size), Image, FactSet, Container, 
+ *   ColumnSet (the columns are displayed one below the other) and ActionSet elements. 
+ * 
+ * @param {object} element - The element of the Adaptive Card. 
+ * @param {HTMLElement} container - The html element of the card. 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @returns {void}
+ */
+function renderAdaptiveCardElement(element, container, activityId) {
+  switch (element.type) {
+    case 'TextBlock': {
+      const emphasized = element.weight === 'Bolder' || ['Large', 'ExtraLarge'].includes(element.size);
+      appendCardText(container, element.text, emphasized ? 'card-title' : 'card-text');
+      break;
+    }
+    case 'Image':
+      appendCardImage(container, element.url, element.altText);
+      break;
+    case 'FactSet':
+      (element.facts || []).forEach(fact => {
+        const factDiv = document.createElement('div');
+        factDiv.classList.add('card-fact');
+        const title = document.createElement('strong');
+        title.textContent = `${fact.title}: `;
+        factDiv.appendChild(title);
+        factDiv.appendChild(document.createTextNode(fact.value));
+        container.appendChild(factDiv);
+      });
+      break;
+    case 'Container':
+      (element.items || []).forEach(item => renderAdaptiveCardElement(item, container, activityId));
+      break;
+    case 'ColumnSet':
+      (element.columns || []).forEach(column => (column.items || [])
+        .forEach(item => renderAdaptiveCardElement(item, container, activityId)));
+      break;
+    case 'ActionSet':
+      appendCardActions(container, (element.actions || []).map(toCardAction).filter(Boolean), activityId);
+      break;
+  }
+}
+
+/**
+ * Converts an action of an Adaptive Card into a card action. 
+ * 
+ * - Action.Submit becomes an imBack action whose value is the data of the action if it is a 
+ *   string and its title otherwise. Action.OpenUrl becomes an openUrl action. 
+ * 
+ * @param {{type: string, title: string, data: *, url: string}} action - The Adaptive Card action. 
+ * @returns {{type: string, title: string, value: string}|null} The card action, or null if the 
+ * action is not supported. 
+ */
+function toCardAction(action) {
+  switch (action.type) {
+    case 'Action.Submit':
+      return { type: 'imBack', title: action.title, value: typeof action.data === 'string' ? action.data : action.title };
+    case 'Action.OpenUrl':
+      return { type: 'openUrl', title: action.title, value: action.url };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Appends a markdown text to a card. 
+ * 
+ * @param {HTMLElement} container - The html element of the card. 
+ * @param {string} text - The text (nothing is appended if it is empty). 
+ * @param {string} className - The class of the text ('card-title', 'card-subtitle' or 'card-text'). 
+ * @returns {void}
+ */
+function appendCardText(container, text, className) {
+  if (!text) return;
+  const textDiv = document.createElement('div');
+  textDiv.classList.add(className);
+  renderMarkdown(text, textDiv);
+  container.appendChild(textDiv);
+}
+
+/**
+ * Appends an image to a card, if its url is an http(s) url. 
+ * 
+ * @param {HTMLElement} container - The html element of the card. 
+ * @param {string} url - The url of the image. 
+ * @param {string} [alt] - The alternative text of the image. 
+ * @returns {void}
+ */
+function appendCardImage(container, url, alt) {
+  const src = getSafeUrl(url, ['http:', 'https:']);
+  if (!src) return;
+  const img = document.createElement('img');
+  img.src = src;
+  img.alt = alt || '';
+  img.classList.add('card-image');
+  container.appendChild(img);
+}
+
+/**
+ * Appends the buttons of a card. 
+ * 
+ * @param {HTMLElement} container - The html element of the card. 
+ * @param {object[]} actions - The card actions. 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @returns {void}
+ */
+function appendCardActions(container, actions, activityId) {
+  const buttons = actions.map(action => createActionButton(action, activityId, 'card')).filter(Boolean);
+  if (buttons.length === 0) return;
+  const actionsDiv = document.createElement('div');
+  actionsDiv.classList.add('card-actions');
+  buttons.forEach(button => actionsDiv.appendChild(button));
+  container.appendChild(actionsDiv);
+}
+
+/**
+ * Creates the button of a suggested action or card action. 
+ * 
+ * - openUrl actions are created as links (clicks are logged by the event listener of the 
+ *   dialogue space, see attachChatbotEventListeners). 
+ * - All other actions are created as buttons which send the value of the action when clicked 
+ *   (see selectAction). 
+ * 
+ * @param {{type: string, title: string, value: *}} action - The card action. 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @param {string} source - The kind of the action ('suggestedAction' or 'card'). 
+ * @returns {HTMLElement|null} The button, or null if an openUrl action has an unsafe url. 
+ */
+function createActionButton(action, activityId, source) {
+  const className = source === 'suggestedAction' ? 'suggested-action-btn' : 'card-action-btn';
+  if (action.type === 'openUrl') {
+    const href = getSafeUrl(action.value);
+    if (!href) return null;
+    const link = createLink(action.title || href, href);
+    link.classList.add(className);
+    return link;
+  }
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add(className);
+  button.textContent = action.title || getActionText(action);
+  button.addEventListener('click', function() {
+    selectAction(action, activityId, source);
+  });
+  return button;
+}
+
+/**
+ * Displays the suggested actions of the last bot message below the message. 
+ * 
+ * - Removes the suggested actions of the previous bot message first, so that only the 
+ *   suggested actions of the last bot message are displayed. 
+ * - The suggested actions are removed as soon as the user sends a message (see 
+ *   queueUserMessage). 
+ * 
+ * @param {object[]} [actions] - The suggested actions (card actions) of the bot message. 
+ * @param {string} activityId - The activityId of the bot message. 
+ * @returns {void}
+ */
+function showSuggestedActions(actions, activityId) {
+  removeSuggestedActions();
+  const buttons = (actions || []).map(action => createActionButton(action, activityId, 'suggestedAction')).filter(Boolean);
+  if (buttons.length === 0) return;
+  const actionsDiv = document.createElement('div');
+  actionsDiv.id = 'suggestedActions';
+  actionsDiv.classList.add('suggested-actions');
+  actionsDiv.dataset.activityId = activityId;
+  buttons.forEach(button => actionsDiv.appendChild(button));
+  document.getElementById('messages').appendChild(actionsDiv);
+  scrollMessagesToBottom();
+}
+
+/**
+ * Removes the suggested actions from the dialogue space. 
+ * 
+ * @returns {void}
+ */
+function removeSuggestedActions() {
+  const actionsDiv = document.getElementById('suggestedActions');
+  if (actionsDiv) {
+    actionsDiv.remove();
+  }
+}
+
+/**
+ * Displays the delivery status of a user message below its text.
+ * 
+ * - Failed messages get the class 'message-failed' and can be tapped to send them again (see 
+ *   attachChatbotEventListeners). 
+ * 
+ * @param {string} clientSideMsgId - The identifier of the user message. 
+ * @param {string} status - The delivery status ('sending', 'delivered' or 'failed'). 
+ * @returns {void}
+ */
+function renderMessageStatus(clientSideMsgId, status) {
+  const msgDiv = document.querySelector(`.user-message[data-client-side-msg-id="${clientSideMsgId}"]`);
+  if (!msgDiv) return;
+  let statusSpan = msgDiv.querySelector('.message-status');
+  if (!statusSpan) {
+    statusSpan = document.createElement('span');
+    statusSpan.classList.add('message-status');
+    msgDiv.appendChild(statusSpan);
+  }
+  statusSpan.textContent = messageStatusLabels[status] || '';
+  msgDiv.classList.toggle('message-failed', status === 'failed');
+}
+
+/**
+ * Displays a connection error with a retry button in the dialogue space.
+ * 
+ * - This function is called when a request to the server has failed after all retries. 
+ * - Clicking the button removes the error and calls the retry function. 
+ * 
+ * @param {function(): void} retry - The function which repeats the failed request. 
+ * @returns {void}
+ */
+function showConnectionError(retry) {
+  const messagesDiv = document.getElementById('messages');
+  const errorDiv = document.createElement('div');
+  errorDiv.classList.add('connection-error');
+  errorDiv.textContent = 'Die Verbindung zum Chatbot ist fehlgeschlagen.';
+  const retryBtn = document.createElement('button');
+  retryBtn.type = 'button';
+  retryBtn.classList.add('connection-retry-btn');
+  retryBtn.textContent = 'Erneut versuchen';
+  retryBtn.addEventListener('click', function() {
+    errorDiv.remove();
+    retry();
+  });
+  errorDiv.appendChild(retryBtn);
+  messagesDiv.appendChild(errorDiv);
   scrollMessagesToBottom();
 }
 
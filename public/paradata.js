@@ -0,0 +1,230 @@
+/**
+ * @fileoverview This script contains the paradata logger, which records the interaction
+ * timeline of the participant (page views, answer changes, chatbot turns, tab focus and
+ * back navigation) and is executed by the client in the browser. The log is submitted
+ * together with the survey data (see collectData in script.js).
+ * @author Samuel König
+ * @version 1.0.0
+ */
+
+/**************************************************************************
+ * Definition of variables
+ **************************************************************************/
+
+/**
+ * Definition of the variables used in the script.
+ *
+ * - maxParadataEvents @type {number}: The maximum number of events in the paradata log.
+ *   Further events are not recorded, so that the log cannot exceed the size limit of the
+ *   requests to the server.
+ * - draftStats @type {{keystrokes: number, insertions: number, deletions: number, pastes: number,
+ *   startedAt: number|null}}: The counters of the user message which is currently being
+ *   written in the user message input field (see trackUserInput).
+ */
+const maxParadataEvents = 5000  // To be specified: the maximum number of logged events!
+
+let draftStats = createDraftStats();
+
+/**************************************************************************
+ * Paradata event listeners
+ **************************************************************************/
+
+/**
+ * Adds event listeners to all events recorded in the paradata log.
+ *
+ * - This function is called by the attachEventListeners function in script.js.
+ * - Logs that the page has been loaded (also after a reload of the page).
+ * - When the tab or window loses or gains the focus, logs a 'blur' or 'focus' event.
+ * - Counts the keystrokes, insertions, deletions and pastes in the user message input
+ *   field (see trackUserInput).
+ *
+ * @returns {void}
+ */
+function attachParadataEventListeners() {
+  logParadata('page-load', { page: getParadataPage() });
+
+  window.addEventListener('blur', () => logParadata('blur', { page: getParadataPage() }));
+  window.addEventListener('focus', () => logParadata('focus', { page: getParadataPage() }));
+
+  const userInput = document.getElementById('userInput');
+  userInput.addEventListener('keydown', trackUserInput);
+  userInput.addEventListener('input', trackUserInput);
+}
+
+/**************************************************************************
+ * Paradata logging
+ **************************************************************************/
+
+/**
+ * Adds an event to the paradata log.
+ *
+ * - The log is stored in the session storage, so that it is retained when the page is
+ *   reloaded and sent with the checkpoints of the survey progress (as part of the client
+ *   state, see getClientState in script.js).
+ * - Each event consists of its type, the time in milliseconds since 1970 (t) and the
+ *   details of the event.
+ * - If there is no participantId (e.g. after the survey has been submitted) or the log has
+ *   reached maxParadataEvents events, the event is not recorded.
+ *
+ * @param {string} type - The type of the event.
+ * @param {object} [details] - The details of the event.
+ * @returns {void}
+ */
+function logParadata(type, details = {}) {
+  if (!sessionStorage.getItem('participantId')) return;
+  const paradata = loadParadata();
+  if (paradata.length >= maxParadataEvents) return;
+  paradata.push({ type, t: Date.now(), ...details });
+  sessionStorage.setItem('paradata', JSON.stringify(paradata));
+}
+
+/**
+ * Loads the paradata log from the session storage.
+ *
+ * @returns {Array<{type: string, t: number}>} The logged events.
+ */
+function loadParadata() {
+  const stored = sessionStorage.getItem('paradata');
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Determines the page currently displayed according to the paradata log.
+ *
+ * @returns {number|null} The page number, or null if no page has been logged yet.
+ */
+function getParadataPage() {
+  const page = sessionStorage.getItem('paradataPage');
+  return page ? parseInt(page, 10) : null;
+}
+
+/**
+ * Logs that the participant has switched to another page.
+ *
+ * - This function is called by the showPage function in script.js.
+ * - Logs a 'page-exit' event for the previous page, with the time spent on it (in
+ *   milliseconds), and a 'page-enter' event for the new page.
+ * - If the page has not changed (e.g. when the page is displayed again after a reload),
+ *   nothing is logged.
+ *
+ * @param {number} pageNumber - The number of the displayed page.
+ * @returns {void}
+ */
+function logPageView(pageNumber) {
+  const previousPage = getParadataPage();
+  if (previousPage === pageNumber) return;
+  const now = Date.now();
+  if (previousPage !== null) {
+    const enteredAt = parseInt(sessionStorage.getItem('paradataPageEnteredAt'), 10);
+    logParadata('page-exit', { page: previousPage, duration: now - enteredAt });
+  }
+  logParadata('page-enter', { page: pageNumber });
+  sessionStorage.setItem('paradataPage', pageNumber);
+  sessionStorage.setItem('paradataPageEnteredAt', now);
+}
+
+/**
+ * Logs a change of the answer to a question.
+ *
+ * - This function is called by the inputFieldLogic function in script.js before the new
+ *   answer is saved, so that the previous answer can be read from the saved survey data.
+ * - The first answer to a question is logged with the previous value ''.
+ *
+ * @param {string} question - The name of the question.
+ * @param {string} value - The new answer.
+ * @returns {void}
+ */
+function logAnswerChange(question, value) {
+  const formData = JSON.parse(sessionStorage.getItem('formData') || '{}');
+  const previousValue = formData[question] || '';
+  if (previousValue === value) return;
+  logParadata('answer-change', { page: getParadataPage(), question, previousValue, value });
+}
+
+/**
+ * Logs that a bot message has been displayed in the chatbot interface.
+ *
+ * - This function is called by the processActivitiesInOrder function in chatbot.js.
+ * - The display of the bot message starts the turn of the participant, whose duration is
+ *   logged with the next user message (see logChatbotTurn).
+ *
+ * @param {string} activityId - The activityId of the bot message.
+ * @returns {void}
+ */
+function logBotMessageDisplayed(activityId) {
+  sessionStorage.setItem('paradataTurnStart', Date.now());
+  logParadata('bot-message', { activityId });
+}
+
+/**
+ * Logs a chatbot turn of the participant when a user message is sent.
+ *
+ * - This function is called by the collectUserMessage function (typed messages) and the
+ *   selectAction function (clicked suggested actions and card buttons) in chatbot.js.
+ * - Logs a 'user-message' event with the time since the last bot message was displayed
+ *   (turnDuration), the time since the first keystroke of the message (compositionTime) and
+ *   the numbers of keystrokes, inserted characters, deletions and pastes while the message
+ *   was written.
+ * - Resets the counters for the next user message.
+ *
+ * @param {string} clientSideMsgId - The identifier of the user message.
+ * @param {string} source - How the message was sent ('typed' or 'action').
+ * @returns {void}
+ */
+function logChatbotTurn(clientSideMsgId, source) {
+  const now = Date.now();
+  const turnStart = parseInt(sessionStorage.getItem('paradataTurnStart'), 10);
+  logParadata('user-message', {
+    clientSideMsgId,
+    source,
+    turnDuration: turnStart ? now - turnStart : null,
+    compositionTime: draftStats.startedAt ? now - draftStats.startedAt : null,
+    keystrokes: draftStats.keystrokes,
+    insertions: draftStats.insertions,
+    deletions: draftStats.deletions,
+    pastes: draftStats.pastes
+  });
+  sessionStorage.setItem('paradataTurnStart', now);
+  draftStats = createDraftStats();
+}
+
+/**
+ * Counts the edits of the user message which is currently being written.
+ *
+ * - keydown events are counted as keystrokes (the first keystroke starts the composition
+ *   time).
+ * - input events are counted by their inputType: inserted characters, deletions (of one
+ *   or more characters, e.g. with backspace or by cutting) and pastes. The text itself is
+ *   not logged.
+ *
+ * @param {KeyboardEvent|InputEvent} event - The keydown or input event of the user message
+ * input field.
+ * @returns {void}
+ */
+function trackUserInput(event) {
+  if (draftStats.startedAt === null) {
+    draftStats.startedAt = Date.now();
+  }
+  if (event.type === 'keydown') {
+    draftStats.keystrokes++;
+    return;
+  }
+  const inputType = event.inputType || '';
+  if (inputType === 'insertFromPaste') {
+    draftStats.pastes++;
+  } else if (inputType.startsWith('delete')) {
+    draftStats.deletions++;
+  } else if (inputType.startsWith('insert')) {
+    draftStats.insertions += event.data ? event.data.length : 1;
+  }
+}
+
+/**
+ * Creates the counters of a new user message.
+ *
+ * @returns {{keystrokes: number, insertions: number, deletions: number, pastes: number,
+ * startedAt: null}} The counters.
+ */
+function createDraftStats() {
+  return { keystrokes: 0, insertions: 0, deletions: 0, pastes: 0, startedAt: null };
+}
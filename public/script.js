@@ -12,20 +12,34 @@
 /**
  * Definition of the variables used in the script.
  * 
- * - totalPages @type {number}: the number of pages in the survey.
- * - chatbotPage @type {number}: the page number where the chatbot appears.
  * - emailCollection @type {boolean}: Whether users have the possibility to submit an email 
- *   at the end of the survey. 
+ *   at the end of the survey. The email form is only shown if the email collection is also 
+ *   enabled on the server (see loadEmailCollection). 
  * - textareaReplacement @type {boolean}: Whether the user message input field should be 
  *   replaced by a button to move to the next page when the final dialogue state has been 
  *   reached. 
- * - likertQuestions @type {string[]}: an array with the names of all likert scale questions.
- * - extraTextFields @type {string[]}: an array with the names of all free textarea questions.
+ * - checkpointDelay @type {number}: The delay in milliseconds after the last change until the 
+ *   survey progress is sent to the server as a checkpoint. 
+ * - keepaliveLimit @type {number}: The size limit in bytes of requests which the browsers 
+ *   complete when the page is being unloaded (sendBeacon and fetch with keepalive). 
+ * - surveyDefinition @type {{scales: Object, pages: Object[]}}: the survey definition provided 
+ *   by the server (see config/survey-definition.js). 
+ * - totalPages @type {number}: the number of pages in the survey (derived from the survey 
+ *   definition).
+ * - chatbotPage @type {number}: the page number where the chatbot appears (derived from the 
+ *   survey definition).
+ * - likertQuestions @type {string[]}: an array with the names of all likert scale questions
+ *   (derived from the survey definition).
+ * - extraTextFields @type {string[]}: an array with the names of all free textarea questions
+ *   (derived from the survey definition).
+ * - treatmentAssignmentPage @type {number}: the page number of the screening page after which 
+ *   the treatment group is assigned, or 0 if the treatment group is assigned when the survey 
+ *   is opened (derived from the survey definition).
  * - questionSetClasses @type {Array<[string, string]>}: An array with html class names of
  *   elements to be arranged in a randomized order. Each entry is a list with two class names: 
  *   The first is the class name of the parent class container, which holds the elements that
  *   should be shuffled, and the second is the class name of the elements within that 
- *   container to be shuffled. 
+ *   container to be shuffled (derived from the randomization groups in the survey definition). 
  * - pages @type {NodeListOf<HTMLElement>}: DOM element.
  * - progressBar @type {HTMLElement}: DOM element.
  * - consentCheckbox @type {HTMLInputElement}: DOM element.
@@ -42,53 +56,32 @@
  * - bypassPopState @type {boolean}: a flag for controlling navigation events. 
  * - chatbotAlreadyOpened @type {boolean}: a flag indicating whether the chatbot has 
  *   already been opened in the session. 
+ * - checkpointTimeout @type {number|null}: The timer id for the queued checkpoint.
+ * - lateAssignmentInProgress @type {boolean}: a flag indicating whether a request for the 
+ *   treatment group after the screening page is currently in progress. 
+ * - tokenRenewal @type {Promise<boolean>|null}: the request for a new participant token 
+ *   which is currently in progress, if any. 
+ * - skipValidation @type {boolean}: a flag indicating that the participant chose to continue
+ *   despite unanswered questions (soft validation mode). 
+ * - emailCollectionEnabled @type {boolean}: a flag indicating whether the server accepts 
+ *   emails (see loadEmailCollection). 
  * - emailSent @type {boolean}: a flag indicating whether the client has submitted an email
  * - dialogueFinished @type {boolean}: a flag indicating whether the final dialgoue state 
  *   has been reached.
  *   on the final page. 
  */
-const totalPages = 9;    // To be specified: the actual number of pages in the survey!
-const chatbotPage = 4;   // To be specified: the page number where the chatbot appears!
 const emailCollection = true  //To be specified: Whether users can submit an email!
 const textareaReplacement = true  //To be specified: Whether the textarea should be replaced!
-const likertQuestions = [
-    "gender", 
-    "age", 
-    "education", 
-    "occupation", 
-    "chatbot-experience", 
-    "service-quality-1", 
-    "service-quality-2", 
-    "service-quality-3", 
-    "service-quality-4", 
-    "service-quality-5", 
-    "service-quality-6", 
-    "satisfaction-1", 
-    "satisfaction-2", 
-    "satisfaction-3", 
-    "satisfaction-4", 
-    "satisfaction-5", 
-    "empathy-1", 
-    "empathy-2", 
-    "empathy-3", 
-    "empathy-4", 
-    "empathy-5", 
-    "empathy-6", 
-    "ai-literacy-1", 
-    "ai-literacy-2", 
-    "ai-literacy-3", 
-    "ai-literacy-4", 
-    "ai-literacy-5"
-];                      // To be specified: the likert question names used in the survey!
-const extraTextFields = [
-    "occupation-student",
-    "occupation-other"
-  ];                    // To be specified: the textarea question names used in the survey!
-const questionSetClasses = [
-    [".construct-service-quality", ".question"],
-    [".constructs-empathy-satisfaction", ".question"], 
-    [".construct-ai-literacy", ".question"]
-]                       // To be specified: the class names of the randomized question sets! 
+const checkpointDelay = 1000  //To be specified: delay of the progress checkpoints!
+const keepaliveLimit = 65536
+
+let surveyDefinition;
+let totalPages;
+let chatbotPage;
+let treatmentAssignmentPage;
+let likertQuestions = [];
+let extraTextFields = [];
+let questionSetClasses = [];
 
 let pages;
 let progressBar;
@@ -101,6 +94,11 @@ let scrollPositions = {};
 let scrollFrame1Id = null;
 let scrollFrame2Id = null;
 let bypassPopState = false;
+let checkpointTimeout = null;
+let lateAssignmentInProgress = false;
+let tokenRenewal = null;
+let skipValidation = false;
+let emailCollectionEnabled = false;
 let chatbotAlreadyOpened = sessionStorage.getItem('chatbotAlreadyOpened') === 'true';
 let emailSent = sessionStorage.getItem('emailSent') === 'true';
 let dialogueFinished = sessionStorage.getItem('dialogueFinished') === 'true';
@@ -119,6 +117,10 @@ document.addEventListener('DOMContentLoaded', initializePage);
  * Initializes the page.
  * This function is executed as soon as the DOM has been fully loaded.
  * 
+ * - If the page was opened with a resume link, restores the survey session from the server 
+ *   and reloads the page (see resumeFromUrl).
+ * - Loads the survey definition and renders the questionnaire pages.
+ * - Loads the status of the email collection from the server.
  * - References important DOM elements.
  * - Initializes metadata (participantId and treatmentGroup).
  * - Randomizes the order of the specified sets of questions. 
@@ -127,11 +129,17 @@ document.addEventListener('DOMContentLoaded', initializePage);
  * - Displays the current page.
  * - Attaches all event listeners.
  * - Releases the event "surveyDataInitialized" to trigger the chatbot interface 
- *   initialization in chatbot.js.
+ *   initialization in chatbot.js. If the treatment group is assigned after a screening 
+ *   page and has not been assigned yet, this event is released as soon as the treatment 
+ *   group has been assigned (see requestLateAssignment).
  * 
  * @returns {void}
  */
 async function initializePage() {
+    if (await resumeFromUrl()) return;
+    await loadSurveyDefinition();
+    await loadEmailCollection();
+    renderQuestionnairePages();
     referenceElements();
     await getMetadata();
 
@@ -142,7 +150,9 @@ async function initializePage() {
     showPage(currentPage);
     attachEventListeners();
 
-    document.dispatchEvent(new Event('surveyDataInitialized'));
+    if (treatmentGroupAssigned()) {
+        document.dispatchEvent(new Event('surveyDataInitialized'));
+    }
 }
 
 /**
@@ -178,9 +188,12 @@ function referenceElements() {
  * - Logic for clicking on the submit button to send all data to the server and move on 
  *   to the final thankyou page. 
  * - Logic for clicking on the email submit button to send an email to the server. 
- * - Logic for saving the page scroll position when the user reloads the page. 
+ * - Logic for clicking on the resume button to resume a previously started survey. 
+ * - Logic for saving the page scroll position and sending a queued checkpoint when the user 
+ *   reloads or leaves the page. 
  * - Logic for the popstate event caused by the browser when the user uses the navigation 
  *   buttons of the browser. 
+ * - Event listeners of the paradata log (see attachParadataEventListeners in paradata.js). 
  * 
  * @returns {void}
  */
@@ -201,6 +214,11 @@ function attachEventListeners() {
 
     document.querySelectorAll('.extra-input input[type="text"]').forEach(function (input) {
         input.addEventListener('input', saveData);
+        input.addEventListener('input', clearMissingHighlight);
+    });
+
+    document.querySelectorAll('.continue-anyway-btn').forEach(function (button) {
+        button.addEventListener('click', continueAnywayLogic);
     });
 
     document.getElementById('openChatbotBtn').addEventListener('click', nextButtonLogic);
@@ -212,12 +230,285 @@ function attachEventListeners() {
 
     document.getElementById('submit').addEventListener('click', submitButtonLogic);
     document.getElementById('emailSubmitBtn').addEventListener('click', emailSubmitLogic);
+    document.getElementById('resumeBtn').addEventListener('click', resumeButtonLogic);
 
-    window.addEventListener('beforeunload', () => {
-        saveScrollPositions(currentPage)
+    window.addEventListener('pagehide', handlePageHide);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') handlePageHide();
     });
 
     window.addEventListener('popstate', handlePopState);
+
+    attachParadataEventListeners();
+}
+
+/**************************************************************************
+ * Survey definition and questionnaire rendering
+ **************************************************************************/
+
+/**
+ * Loads the survey definition from the server.
+ *
+ * - Stores the survey definition in the surveyDefinition variable.
+ * - Derives the totalPages, chatbotPage, treatmentAssignmentPage, likertQuestions, 
+ *   extraTextFields and questionSetClasses values from the survey definition.
+ *
+ * @async
+ * @returns {void}
+ */
+async function loadSurveyDefinition() {
+    const response = await fetch('/surveydefinition');
+    surveyDefinition = await response.json();
+
+    const questions = surveyDefinition.pages.flatMap(page => page.questions || []);
+    totalPages = surveyDefinition.pages.length;
+    chatbotPage = surveyDefinition.pages.findIndex(page => page.type === 'chatbot') + 1;
+    treatmentAssignmentPage = surveyDefinition.pages.findIndex(page => page.assignsTreatment) + 1;
+    likertQuestions = questions.map(question => question.name);
+    extraTextFields = questions.flatMap(question => (question.options || [])
+        .filter(option => option.extraInput)
+        .map(option => option.extraInput.name));
+
+    const randomizationGroups = new Set(questions.map(question => question.randomizationGroup).filter(Boolean));
+    questionSetClasses = Array.from(randomizationGroups).map(group => [`.random-order-${group}`, '.question']);
+}
+
+/**
+ * Renders all questionnaire pages of the survey definition.
+ *
+ * - Creates the html element of each questionnaire page and inserts it directly after the
+ *   html element of the preceding page, so that the order of the pages in the document
+ *   corresponds to the order in the survey definition.
+ * - All other pages are written in the index.html file.
+ *
+ * @returns {void}
+ */
+function renderQuestionnairePages() {
+    let previousPageElement = null;
+    surveyDefinition.pages.forEach((page, index) => {
+        if (page.type === 'questionnaire') {
+            const pageElement = document.createElement('div');
+            pageElement.classList.add('page');
+            pageElement.id = page.id;
+            pageElement.innerHTML = createQuestionnairePageHtml(page, index + 1);
+            previousPageElement.after(pageElement);
+            previousPageElement = pageElement;
+        } else {
+            previousPageElement = document.getElementById(page.id);
+        }
+    });
+}
+
+/**
+ * Creates the html structure of a questionnaire page.
+ *
+ * - Consists of the title, the instruction, all questions of the page (separated by divider
+ *   lines) and the navigation buttons.
+ * - Questions belonging to a randomization group are wrapped in a container with the class
+ *   "random-order-<group>" so that their order can be randomized (see randomizeQuestionSets).
+ * - Adds the validation message which is displayed when questions are unanswered (see
+ *   validateCurrentPage). In the soft validation mode, the message has a button to continue
+ *   anyway.
+ * - If the page is the submit page, adds the submit notifications and the submit button
+ *   instead of the next button.
+ *
+ * @param {Object} page - The page from the survey definition.
+ * @param {number} pageNumber - The number of the page in the survey.
+ * @returns {string} The html structure of the page.
+ */
+function createQuestionnairePageHtml(page, pageNumber) {
+    const questionsHtml = page.questions.map((question, index) => {
+        let html = '';
+        if (index > 0) {
+            const dividerClass = question.type === 'differential' ? 'divider-line-sd' : 'divider-line-likert';
+            html += `<div class="divider-line ${dividerClass}"></div>`;
+        }
+        const questionHtml = createQuestionHtml(question);
+        if (question.randomizationGroup) {
+            html += `<div class="construct random-order-${question.randomizationGroup}">${questionHtml}</div>`;
+        } else {
+            html += questionHtml;
+        }
+        return html;
+    }).join('');
+
+    const titleHtml = page.title ? `<h1>${page.title}</h1>` : '';
+    const instructionHtml = page.instruction ? `<p class="page-instruction"><b>${page.instruction}</b><br></p>` : '';
+
+    let validationHtml;
+    if (surveyDefinition.validationMode === 'soft') {
+        validationHtml = `
+            <div id="validation-message${pageNumber}" class="validation-message" style="display: none;">
+                <p><b><i>Sie haben nicht alle markierten Fragen beantwortet.<br>
+                    Sie können die Fragen noch beantworten oder trotzdem fortfahren.</i></b></p>
+                <button class="continue-anyway-btn">Trotzdem fortfahren</button>
+            </div>`;
+    } else {
+        validationHtml = `
+            <div id="validation-message${pageNumber}" class="validation-message" style="display: none;">
+                <p><b><i>Bitte beantworten Sie alle markierten Fragen, um fortzufahren.</i></b></p>
+            </div>`;
+    }
+
+    let navigationHtml;
+    if (page.submit) {
+        navigationHtml = `
+            <div id="submit-data-notification" style="display: none;">
+                <p><b><i>Ihre Angaben werden übermittelt ...</i></b></p>
+            </div>
+            <div id="submit-error-message" style="display: none;">
+                <p><b><i>Es ist ein Netzwerkfehler aufgetreten.<br>
+                    Bitte überprüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.</i></b></p>
+            </div>
+            <div class="navigation">
+                <button id="back${pageNumber}" class="back-btn">Zurück</button>
+                <button id="submit" class="submit-btn special-submit">Absenden</button>
+            </div>`;
+    } else {
+        navigationHtml = `
+            <div class="navigation">
+                <button id="back${pageNumber}" class="back-btn">Zurück</button>
+                <button id="next${pageNumber}" class="next-btn">Weiter</button>
+            </div>`;
+    }
+
+    return titleHtml + instructionHtml + questionsHtml + validationHtml + navigationHtml;
+}
+
+/**
+ * Creates the html structure of a single question depending on its type.
+ *
+ * - The container of each question carries the name of the question in the data-question
+ *   attribute, so that unanswered questions can be highlighted (see validateCurrentPage).
+ *
+ * @param {Object} question - The question from the survey definition.
+ * @returns {string} The html structure of the question.
+ */
+function createQuestionHtml(question) {
+    const scale = surveyDefinition.scales[question.scale];
+    switch (question.type) {
+        case 'differential':
+            return createDifferentialQuestionHtml(question, scale);
+        case 'likert':
+            return createLikertQuestionHtml(question, scale);
+        case 'choice':
+            return createChoiceQuestionHtml(question);
+        default:
+            console.error(`Unknown question type: ${question.type}`);
+            return '';
+    }
+}
+
+/**
+ * Determines the values of the points of an answer scale.
+ *
+ * - The values range from 1 to the number of points of the scale. Reverse-coded items are
+ *   stored with these raw values as well and recoded when the scale scores are computed
+ *   (see lib/scoring.js on the server).
+ *
+ * @param {{points: number}} scale - The answer scale of the question.
+ * @returns {number[]} The values of the scale points in display order.
+ */
+function getScaleValues(scale) {
+    return Array.from({ length: scale.points }, (_, i) => i + 1);
+}
+
+/**
+ * Creates the html structure of a semantic differential question.
+ *
+ * - The left and right anchors are displayed next to the scale on desktop devices and below
+ *   the scale on mobile devices (where different line breaks can be specified).
+ *
+ * @param {Object} question - The question from the survey definition.
+ * @param {{points: number}} scale - The answer scale of the question.
+ * @returns {string} The html structure of the question.
+ */
+function createDifferentialQuestionHtml(question, scale) {
+    const anchors = question.anchors;
+    const values = getScaleValues(scale);
+    const pointsHtml = values.map((value, index) => {
+        let positionClass = '';
+        if (index === 0) positionClass = ' sd-point-left';
+        if (index === values.length - 1) positionClass = ' sd-point-right';
+        return `
+            <div class="sd-point${positionClass}">
+                <label class="radio-container">
+                    <input type="radio" name="${question.name}" value="${value}">
+                    <span class="radio-checkmark"></span>
+                </label>
+            </div>`;
+    }).join('');
+
+    return `
+        <div class="question" data-question="${question.name}">
+            <div class="sd-container">
+                <div class="sd-desktop-label sd-desktop-label-left">${anchors.left}</div>
+                <div class="sd-scale sd-${scale.points}">${pointsHtml}</div>
+                <div class="sd-desktop-label sd-desktop-label-right">${anchors.right}</div>
+            </div>
+            <div class="sd-label-mobile-container">
+                <div class="sd-label-mobile sd-label-mobile-left">${anchors.mobileLeft || anchors.left}</div>
+                <div class="sd-label-mobile sd-label-mobile-right">${anchors.mobileRight || anchors.right}</div>
+            </div>
+        </div>`;
+}
+
+/**
+ * Creates the html structure of a likert scale question.
+ *
+ * @param {Object} question - The question from the survey definition.
+ * @param {{points: number, labels: string[]}} scale - The answer scale of the question.
+ * @returns {string} The html structure of the question.
+ */
+function createLikertQuestionHtml(question, scale) {
+    const values = getScaleValues(scale);
+    const labelsHtml = values.map((value, index) => `
+        <label class="radio-container">
+            <input type="radio" name="${question.name}" value="${value}">
+            <span class="radio-checkmark"></span>
+            ${scale.labels[index]}
+        </label>`).join('');
+
+    return `
+        <div class="question" data-question="${question.name}">
+            <p>${question.text}</p>
+            <div class="likert likert-${scale.points}">${labelsHtml}</div>
+        </div>`;
+}
+
+/**
+ * Creates the html structure of a single choice question.
+ *
+ * - Options with an extraInput are connected with a free text field via the
+ *   data-extra-target attribute (see toggleExtraInputs).
+ *
+ * @param {Object} question - The question from the survey definition.
+ * @returns {string} The html structure of the question.
+ */
+function createChoiceQuestionHtml(question) {
+    const optionsHtml = question.options.map(option => {
+        const extraTarget = option.extraInput ? ` data-extra-target="${option.extraInput.name}"` : '';
+        let html = `
+            <label class="radio-container">
+                <input type="radio" name="${question.name}" value="${option.value}"${extraTarget}>
+                <span class="radio-checkmark"></span>
+                ${option.label}
+            </label>`;
+        if (option.extraInput) {
+            html += `
+            <div id="${option.extraInput.name}" class="extra-input hidden">
+                <strong>${option.extraInput.label}</strong>
+                <input type="text" name="${option.extraInput.name}" placeholder="${option.extraInput.placeholder}">
+            </div>`;
+        }
+        return html;
+    }).join('');
+
+    return `
+        <div class="question" data-question="${question.name}">
+            <p>${question.text}</p>
+            ${optionsHtml}
+        </div>`;
 }
 
 /**************************************************************************
@@ -232,7 +523,10 @@ function attachEventListeners() {
  *   applyChatbotViewState() function to display the correct view. 
  * - When the user navigates to the chatbot page, calls the trackChatbotArrival() function to check 
  *   whether the user arrives there for the first time. 
- * - Updates the progress bar.
+ * - When the user navigates beyond the screening page, calls the requestLateAssignment() function
+ *   to request the treatment group if it has not been assigned yet. 
+ * - Updates the progress bar and the display of the resume code.
+ * - Logs the page view in the paradata log (see logPageView in paradata.js). 
  * - Scrolls to the saved scroll position of the active page, using animation frames to ensure the 
  *   new page has been fully rendered when the scroll action is performed (at the beginning of the 
  *   function, cancelScrollDelays() is called to clear potentially queued animation frames).
@@ -256,8 +550,13 @@ function showPage(pageNumber) {
     if (pageNumber === chatbotPage) {
         trackChatbotArrival();
     }
+    if (treatmentAssignmentPage > 0 && pageNumber > treatmentAssignmentPage) {
+        requestLateAssignment();
+    }
 
     updateProgressBar();
+    updateResumeInfo();
+    logPageView(pageNumber);
 
     if (!(pageNumber === chatbotPage)) {
         const pageElement = document.getElementById(`page${pageNumber}`);
@@ -440,6 +739,9 @@ function handleFinishedDialogue(){
  * 
  * - Toggles extra textarea input fields, depending on whether the respective 
  *   radio buttons are selected or not. 
+ * - Removes the highlighting of the question if it was marked as unanswered. 
+ * - Logs changed answers to radio button questions in the paradata log (see logAnswerChange 
+ *   in paradata.js). 
  * - Updates the session storage using saveData().
  * - This function is called each time a change in the input fields is detected.
  *
@@ -447,6 +749,10 @@ function handleFinishedDialogue(){
  */
 function inputFieldLogic() {
     toggleExtraInputs();
+    clearMissingHighlight.call(this);
+    if (this.type === 'radio') {
+        logAnswerChange(this.name, this.value);
+    }
     saveData();
 }
 
@@ -472,6 +778,7 @@ function toggleExtraInputs() {
  * Saves the survey data.
  * 
  * - Saves the the consentCheckbox value and all input field data in the session storage.
+ * - Queues a checkpoint of the survey progress (see scheduleCheckpoint). 
  * - This function is called each time the participant makes changes in an input field. 
  * 
  * @returns {void}
@@ -490,11 +797,122 @@ function saveData() {
       });
 
     sessionStorage.setItem('formData', JSON.stringify(formData));
+    scheduleCheckpoint();
+}
+
+/**
+ * Queues a checkpoint of the survey progress.
+ * 
+ * - The purpose of checkpoints is to record the progress of participants who drop out before
+ *   submitting the survey (last page reached, partial answers and conversation).
+ * - Resets the timer for the queued checkpoint so that the checkpoint is only sent when there 
+ *   have been no further changes for checkpointDelay milliseconds. 
+ * - This function is called each time the survey data, the navigation state or the 
+ *   conversation state (see chatbot.js) is saved. 
+ * 
+ * @returns {void}
+ */
+function scheduleCheckpoint() {
+    clearTimeout(checkpointTimeout);
+    checkpointTimeout = setTimeout(() => {
+        checkpointTimeout = null;
+        sendCheckpoint(false);
+    }, checkpointDelay);
+}
+
+/**
+ * Saves the scroll position and sends a queued checkpoint when the page is hidden.
+ * 
+ * - This function is called on pagehide (the user reloads or leaves the page) and when the 
+ *   page becomes hidden (visibilitychange, e.g. when the user switches to another app), since 
+ *   mobile browsers often discard pages in the background without firing beforeunload. 
+ * 
+ * @returns {void}
+ */
+function handlePageHide() {
+    saveScrollPositions(currentPage);
+    flushCheckpoint();
+}
+
+/**
+ * Sends a queued checkpoint immediately.
+ * 
+ * - This function is called when the user reloads, leaves or hides the page (see 
+ *   handlePageHide).
+ * 
+ * @returns {void}
+ */
+function flushCheckpoint() {
+    if (checkpointTimeout === null) return;
+    clearTimeout(checkpointTimeout);
+    checkpointTimeout = null;
+    sendCheckpoint(true);
+}
+
+/**
+ * Sends a checkpoint of the survey progress to the server.
+ * 
+ * - Collects the participantId, treatmentGroup, participant token, currentPage, the saved 
+ *   answers and the conversation state from the session storage. Additionally sends the 
+ *   remaining session storage entries as client state so that the survey can be resumed on 
+ *   another device (see getClientState). 
+ * - If there is no participantId (e.g. after the survey has been submitted), nothing is sent.
+ * - Stores the resume code provided by the server in the session storage and displays it.
+ * - Errors are only logged since the checkpoint is repeated with the next change. If the 
+ *   server rejects the participant token, the token is renewed for the next checkpoint. 
+ * 
+ * - navigator.sendBeacon only queues data up to a browser limit (about 64 kB) and returns false 
+ *   otherwise. If the beacon is not queued, the checkpoint is sent with fetch and keepalive, 
+ *   which also completes when the page is being unloaded (within the same limit, see 
+ *   keepaliveLimit), and otherwise like a regular checkpoint (e.g. if the page is only hidden). 
+ * 
+ * @param {boolean} useBeacon - Whether to send the checkpoint with navigator.sendBeacon, 
+ * which also completes when the page is being unloaded. 
+ * @returns {void}
+ */
+function sendCheckpoint(useBeacon) {
+    const participantId = sessionStorage.getItem('participantId');
+    if (!participantId) return;
+    const body = JSON.stringify({
+        participantId: participantId,
+        treatmentGroup: sessionStorage.getItem('treatmentGroup'),
+        participantToken: sessionStorage.getItem('participantToken'),
+        currentPage: currentPage,
+        formData: JSON.parse(sessionStorage.getItem('formData') || '{}'),
+        conversation: sessionStorage.getItem('conversation') || '',
+        clientState: getClientState()
+    });
+
+    const blob = new Blob([body], { type: 'application/json' });
+    if (useBeacon && navigator.sendBeacon && navigator.sendBeacon('/checkpoint', blob)) {
+        return;
+    }
+    fetch('/checkpoint', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: body,
+        keepalive: useBeacon && blob.size <= keepaliveLimit
+    })
+        .then(response => {
+            if (response.status === 401) {
+                renewParticipantToken();
+            }
+            return response.ok ? response.json() : {};
+        })
+        .then(json => {
+            if (json.resumeCode && sessionStorage.getItem('participantId')) {
+                sessionStorage.setItem('resumeCode', json.resumeCode);
+                updateResumeInfo();
+            }
+        })
+        .catch(error => console.error('Fehler beim Senden des Checkpoints.', error));
 }
 
 /**
  * Implements the logic of the submit button. 
  * 
+ * - Checks whether all required questions of the submit page are answered (see 
+ *   validateCurrentPage); otherwise the data is not submitted. 
  * - Shows the notification the the data is transmitted. 
  * - Collects all required data when the user clicks on the submit button and 
  *   tries to send it to the server.
@@ -508,6 +926,9 @@ function saveData() {
  * @returns {void}
  */
 async function submitButtonLogic() {
+    if (!validateCurrentPage()) {
+        return;
+    }
     toggleNotification('hide', 'submit-error-message');
     toggleNotification('show', 'submit-data-notification');
     window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
@@ -529,8 +950,10 @@ async function submitButtonLogic() {
  * Collects all relevant participant data and sends it to the server.
  * 
  * - This function is called when a participant submits the data.
- * - Collects the metadata (participantId and treatmentGroup), the chatbot conversation 
- *   log (see chatbot.js file), and the participant's selection in the survey questions. 
+ * - Collects the metadata (participantId, treatmentGroup and the participant token, from 
+ *   which the server derives the participantId and treatmentGroup), the chatbot conversation 
+ *   log (see chatbot.js file), the paradata log (see paradata.js file) and the participant's 
+ *   selection in the survey questions. 
  * 
  * @returns {Array<{parameter: value}>} The data array to be sent to the server. 
  */
@@ -538,7 +961,9 @@ function collectData() {
     const data = {
         participantId: sessionStorage.getItem('participantId'),
         treatmentGroup: sessionStorage.getItem('treatmentGroup'),
-        conversationLog: sessionStorage.getItem('conversation') || ''
+        participantToken: sessionStorage.getItem('participantToken'),
+        conversationLog: sessionStorage.getItem('conversation') || '',
+        paradata: loadParadata()
     };
     likertQuestions.forEach(question => {
         data[question] = document.querySelector(`input[name="${question}"]:checked`)?.value || '';
@@ -554,6 +979,11 @@ function collectData() {
  * 
  * - This function is called when the participant submits the survey.
  * - If the server responded successfully, returns the response.
+ * - If the server responded that the survey has already been submitted (status 409, e.g. 
+ *   because the response to a previous try was lost), the data are stored and the response 
+ *   is returned as well. 
+ * - If the server rejected the participant token (status 401), renews the token before the 
+ *   next try (see renewParticipantToken). 
  * - If the server did not respond successfully, retries sending the data
  *   to the server for up to the number of retries times. If the server 
  *   response ie still unsuccessfull after 4 tries, throws an error. 
@@ -572,6 +1002,12 @@ async function submitData(data, retries = 4) {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(data)
             });
+            if (response.status === 409) {
+                return response;
+            }
+            if (response.status === 401 && await renewParticipantToken()) {
+                data.participantToken = sessionStorage.getItem('participantToken');
+            }
             if (!response.ok) {
                 throw new Error(`Server returned ${response.status}`);
             }
@@ -658,46 +1094,176 @@ async function emailSubmitLogic() {
 }
 
 /**
- * Loads the metadata (participantId and treatmentGroup).
+ * Loads the metadata (participantId, treatmentGroup and participant token).
  * 
  * - This function is called as soon as the DOM is fully loaded.
  * - Requests the metadata from the server when the page is loaded for the 
  *   first time, otherwise the metadata is retrieved from the session storage. 
- * - If the client cannot receive a treatmentGroup value from the server, it
- *   creates a random treatmentGroup value itself. 
+ * - The treatment group is assigned by the server only: the participant token signs the 
+ *   participantId and treatmentGroup, and the server derives them from the token in all 
+ *   later requests. 
+ * - If the treatment group is assigned after a screening page and has not been 
+ *   assigned yet, only the participantId and token are stored (see requestLateAssignment). 
  * 
  * @async
  * @returns {void}
  */
 async function getMetadata() {
-    let surveyData = {};
-    if (!sessionStorage.getItem('participantId') || !sessionStorage.getItem('treatmentGroup')) {
-        surveyData = await fetchMetadataFromServer();
+    const lateAssignment = treatmentAssignmentPage > 0;
+    if (sessionStorage.getItem('participantToken') && (lateAssignment || treatmentGroupAssigned())) {
+        return;
     }
-    const participantId = sessionStorage.getItem('participantId') || surveyData.participantId;
-    let treatmentGroup = sessionStorage.getItem('treatmentGroup') || surveyData.treatmentGroup;
-    treatmentGroup = Number(treatmentGroup);
 
-    if (!((treatmentGroup === 0) || (treatmentGroup === 1))) {
-        treatmentGroup = Math.random() < 0.5 ? 0 : 1;
+    const surveyData = await fetchMetadataFromServer();
+    sessionStorage.setItem('participantId', surveyData.participantId);
+    sessionStorage.setItem('participantToken', surveyData.participantToken);
+    if (surveyData.treatmentGroup !== null && surveyData.treatmentGroup !== undefined) {
+        sessionStorage.setItem('treatmentGroup', surveyData.treatmentGroup);
+    }
+}
+
+/**
+ * Renews the participant token.
+ * 
+ * - This function is called if the server rejected the participant token (401, e.g. because 
+ *   the token has expired). 
+ * - Passes the previous participant token to the server, which verifies its signature and 
+ *   issues a new token with the same participantId and treatment group. 
+ * - Stores the new token and the treatment group in the session storage. 
+ * - Concurrent calls share one request to the server (tokenRenewal). 
+ * 
+ * @async
+ * @returns {boolean} Whether the participant token has been renewed. 
+ */
+function renewParticipantToken() {
+    if (!tokenRenewal) {
+        tokenRenewal = requestParticipantToken().finally(() => { tokenRenewal = null; });
+    }
+    return tokenRenewal;
+}
+
+/**
+ * Requests a new participant token from the server (see renewParticipantToken).
+ * 
+ * @async
+ * @returns {boolean} Whether the participant token has been renewed. 
+ */
+async function requestParticipantToken() {
+    const participantToken = sessionStorage.getItem('participantToken');
+    if (!participantToken) return false;
+    try {
+        const response = await fetch('/renewtoken', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ participantToken })
+        });
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+        const json = await response.json();
+        sessionStorage.setItem('participantToken', json.participantToken);
+        if (json.treatmentGroup !== null && json.treatmentGroup !== undefined) {
+            sessionStorage.setItem('treatmentGroup', json.treatmentGroup);
+        }
+        return true;
+    } catch (error) {
+        console.error('Fehler beim Erneuern des Teilnehmer-Tokens.', error);
+        return false;
+    }
+}
+
+/**
+ * Checks whether a treatment group has been assigned to the participant.
+ * 
+ * @returns {boolean} Whether a treatment group is stored in the session storage. 
+ */
+function treatmentGroupAssigned() {
+    return sessionStorage.getItem('treatmentGroup') !== null;
+}
+
+/**
+ * Requests the treatment group from the server after the screening page.
+ * 
+ * - This function is called each time the user navigates beyond the screening page. It is
+ *   only executed if the treatment group has not been assigned yet and no other request is
+ *   in progress (so only when lateAssignmentInProgress is false).
+ * - Collects the answers to the stratification questions of the survey definition and 
+ *   passes them together with the participantId and participant token to the server. A failed 
+ *   request is retried up to maxRequestRetries times with increasing delays (see getRetryDelay 
+ *   in chatbot.js). If the server rejects the participant token, renews it before the next 
+ *   request. 
+ * - If all retries fail, a connection error with a retry button is displayed in the dialogue 
+ *   space (see showConnectionError in chatbot.js); the request is also repeated when the user 
+ *   navigates to the next page. 
+ * - Stores the treatment group and the new participant token (which signs the treatment 
+ *   group) in the session storage and releases the event 
+ *   "surveyDataInitialized" to trigger the chatbot interface initialization in chatbot.js.
+ * 
+ * @async
+ * @returns {void}
+ */
+async function requestLateAssignment() {
+    if (lateAssignmentInProgress || treatmentGroupAssigned()) return;
+    lateAssignmentInProgress = true;
+
+    const stratum = {};
+    (surveyDefinition.stratificationQuestions || []).forEach(question => {
+        stratum[question] = document.querySelector(`input[name="${question}"]:checked`)?.value || '';
+    });
+    const participantId = sessionStorage.getItem('participantId');
+
+    let treatmentGroup;
+    for (let attempt = 0; attempt <= maxRequestRetries; attempt++) {
+        if (attempt > 0) {
+            await new Promise(r => setTimeout(r, getRetryDelay(attempt)));
+        }
+        try {
+            const participantToken = sessionStorage.getItem('participantToken');
+            const response = await fetch('/assigntreatment', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ participantId, participantToken, stratum })
+            });
+            if (response.status === 401) {
+                await renewParticipantToken();
+            }
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+            const json = await response.json();
+            treatmentGroup = json.treatmentGroup;
+            sessionStorage.setItem('participantToken', json.participantToken);
+            break;
+        } catch (error) {
+            console.error(`Error when requesting the treatment group (attempt ${attempt + 1}).`, error);
+        }
+    }
+
+    lateAssignmentInProgress = false;
+    if (treatmentGroup === undefined) {
+        showConnectionError(requestLateAssignment);
+        return;
     }
-    
-    sessionStorage.setItem('participantId', participantId);
     sessionStorage.setItem('treatmentGroup', treatmentGroup);
+    document.dispatchEvent(new Event('surveyDataInitialized'));
 }
 
 /**
- * Requests the metadata from the server (participantId and treatmentGroup).
+ * Requests the metadata from the server (participantId, treatmentGroup, the number of
+ * treatment groups and the participant token).
  * 
  * @async
- * @returns {{participantId: string, treatmentGroup: string}} The metadata.
+ * @returns {{participantId: string, treatmentGroup: string, numberOfTreatmentGroups: number, 
+ * participantToken: string}} The metadata.
  */
 async function fetchMetadataFromServer() {
     const response = await fetch('/generateSurveyData');
     const json = await response.json();
     return {
         participantId: json.participantId,
-        treatmentGroup: json.treatmentGroup
+        treatmentGroup: json.treatmentGroup,
+        numberOfTreatmentGroups: json.numberOfTreatmentGroups,
+        participantToken: json.participantToken
     };
 }
 
@@ -709,6 +1275,7 @@ async function fetchMetadataFromServer() {
  * Saves the current navigation state of the survey webpage.
  * 
  * - Saves the currentPage value and the historyStates value in the session storage.
+ * - Queues a checkpoint of the survey progress (see scheduleCheckpoint). 
  * - This function is called each time the participant navigates within the single 
  *   page application. 
  * 
@@ -717,6 +1284,7 @@ async function fetchMetadataFromServer() {
 function saveNavigationState() {
     sessionStorage.setItem('currentPage', currentPage);
     sessionStorage.setItem('historyStates', JSON.stringify(historyStates));
+    scheduleCheckpoint();
 }
 
 /**
@@ -738,21 +1306,45 @@ function saveScrollPositions(pageNumber) {
     }
 }
 
+/**
+ * Loads the status of the email collection from the server.
+ * 
+ * - Sets the emailCollectionEnabled variable to true if emails can be submitted, i.e. if the 
+ *   emailCollection variable is true and the server accepts emails (the server rejects emails 
+ *   if no encryption key is specified). 
+ * - If the status cannot be loaded, the email form is not shown. 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function loadEmailCollection() {
+    if (!emailCollection) return;
+    try {
+        const response = await fetch('/emailcollection');
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+        emailCollectionEnabled = (await response.json()).enabled;
+    } catch (error) {
+        console.error('Fehler beim Laden des Status der E-Mail-Erfassung.', error);
+    }
+}
+
 /**
  * Sets the view of the final page.
  * 
  * - Switches the view on the final page between the view where the user is asked to provide 
  *   an email and the subsequent view where the user has provided an email. 
  * - The view to display is determined based on the value of the emailSent variable. 
- * - If the variable emailCollection is set to false, the possibility to submit an email 
- *   is not shown at all. 
+ * - If the email collection is disabled (see loadEmailCollection), the possibility to submit 
+ *   an email is not shown at all. 
  * 
  * @returns {void}
  */
 function setThankyouPageState() {
     const emailInfoSection = document.getElementById('emailInfoSection');
     const emailSuccessSection = document.getElementById('emailSuccessSection');
-    if (!emailCollection) {
+    if (!emailCollectionEnabled) {
         emailSuccessSection.classList.add('hidden');
         emailInfoSection.classList.add('hidden');
         return;
@@ -860,9 +1452,253 @@ function restoreState() {
  */
 function clearState() {
     sessionStorage.removeItem('participantId');
+    sessionStorage.removeItem('participantToken');
     sessionStorage.removeItem('treatmentGroup');
     sessionStorage.removeItem('formData');
     sessionStorage.removeItem('conversation');
+    sessionStorage.removeItem('conversationToken');
+    sessionStorage.removeItem('outgoingQueue');
+    sessionStorage.removeItem('paradata');
+    sessionStorage.removeItem('paradataPage');
+    sessionStorage.removeItem('paradataPageEnteredAt');
+    sessionStorage.removeItem('paradataTurnStart');
+    sessionStorage.removeItem('resumeCode');
+}
+
+/**************************************************************************
+ * Survey resumption
+ **************************************************************************/
+
+/**
+ * Collects the entries of the session storage which are required to resume the survey.
+ * 
+ * - The client state is sent with each checkpoint so that the survey (including the 
+ *   navigation state, the question order and the conversationId and watermark) can be 
+ *   restored in another browser tab or on another device. 
+ * - The answers and the conversation are left out since the checkpoint already contains them 
+ *   (see sendCheckpoint and resumeSurvey). The paradata are left out as well, since they grow 
+ *   with each interaction and would exceed the size limit of the final checkpoint (see 
+ *   flushCheckpoint); the paradata of a resumed session start on the resumed page. 
+ * 
+ * @returns {Object.<string, string>} The session storage entries.
+ */
+function getClientState() {
+    const excludedKeys = ['formData', 'conversation', 'paradata', 'paradataPage', 
+        'paradataPageEnteredAt', 'paradataTurnStart'];
+    const clientState = {};
+    for (let i = 0; i < sessionStorage.length; i++) {
+        const key = sessionStorage.key(i);
+        if (excludedKeys.includes(key)) continue;
+        clientState[key] = sessionStorage.getItem(key);
+    }
+    return clientState;
+}
+
+/**
+ * Restores a survey session from the server.
+ * 
+ * - Requests the stored state of the session with the specified resume code from the server.
+ * - Replaces all entries of the session storage by the stored client state, the answers and 
+ *   the conversation, so that the restoreState() and restoreConversation() functions restore 
+ *   the survey when the page is reloaded afterwards. The participant token of the client state 
+ *   is replaced by the new participant token issued by the server. 
+ * - Throws an error if the resume code is unknown or the session has already been completed.
+ * 
+ * @async
+ * @param {string} resumeCode - The resume code of the session.
+ * @returns {void}
+ */
+async function resumeSurvey(resumeCode) {
+    resumeCode = resumeCode.trim().toUpperCase();
+    const response = await fetch(`/resume/${encodeURIComponent(resumeCode)}`);
+    if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+    }
+    const json = await response.json();
+
+    sessionStorage.clear();
+    Object.entries(json.clientState || {}).forEach(([key, value]) => {
+        sessionStorage.setItem(key, value);
+    });
+    if (json.formData) {
+        sessionStorage.setItem('formData', JSON.stringify(json.formData));
+    }
+    if (json.conversation) {
+        sessionStorage.setItem('conversation', json.conversation);
+    }
+    sessionStorage.setItem('participantId', json.participantId);
+    sessionStorage.setItem('participantToken', json.participantToken);
+    if (json.treatmentGroup !== null) {
+        sessionStorage.setItem('treatmentGroup', json.treatmentGroup);
+    }
+    sessionStorage.setItem('resumeCode', resumeCode);
+}
+
+/**
+ * Resumes the survey if the page was opened with a resume link.
+ * 
+ * - Checks whether the url contains a "resume" parameter. If this is the case, restores the 
+ *   session using resumeSurvey() and reloads the page without the parameter. 
+ * - If the session cannot be restored, removes the parameter from the url and shows an error 
+ *   message on the start page. 
+ * 
+ * @async
+ * @returns {boolean} Whether the page is being reloaded with the restored session.
+ */
+async function resumeFromUrl() {
+    const resumeCode = new URLSearchParams(window.location.search).get('resume');
+    if (!resumeCode) return false;
+    try {
+        await resumeSurvey(resumeCode);
+        window.location.replace(window.location.pathname);
+        return true;
+    } catch (error) {
+        console.error('Fehler beim Fortsetzen der Studie:', error);
+        window.history.replaceState(window.history.state, '', window.location.pathname);
+        toggleNotification('show', 'resume-error-message');
+        return false;
+    }
+}
+
+/**
+ * Implements the logic of the resume button on the start page.
+ * 
+ * - Collects the resume code from the resume code input field. If no code has been entered, 
+ *   nothing happens.
+ * - Restores the session using resumeSurvey() and reloads the page. If the session cannot be
+ *   restored, shows a notification that the resume code is invalid. 
+ * 
+ * @async
+ * @returns {void}
+ */
+async function resumeButtonLogic() {
+    const resumeCode = document.getElementById('resumeCodeInput').value.trim();
+    if (!resumeCode) return;
+    toggleNotification('hide', 'resume-error-message');
+    try {
+        await resumeSurvey(resumeCode);
+        window.location.replace(window.location.pathname);
+    } catch (error) {
+        console.error('Fehler beim Fortsetzen der Studie:', error);
+        toggleNotification('show', 'resume-error-message');
+    }
+}
+
+/**
+ * Displays the resume code of the current survey session.
+ * 
+ * - The resume code and the resume link are shown below the survey on all pages except the 
+ *   start page, the chatbot page and the final page, and only once the server has provided 
+ *   a resume code. 
+ * 
+ * @returns {void}
+ */
+function updateResumeInfo() {
+    const resumeInfo = document.getElementById('resumeInfo');
+    const resumeCode = sessionStorage.getItem('resumeCode');
+    if (!resumeCode || currentPage === 1 || currentPage === chatbotPage || currentPage === totalPages) {
+        resumeInfo.classList.add('hidden');
+        return;
+    }
+    const resumeLink = `${window.location.origin}${window.location.pathname}?resume=${resumeCode}`;
+    document.getElementById('resumeCodeDisplay').textContent = resumeCode;
+    const linkElement = document.getElementById('resumeLink');
+    linkElement.href = resumeLink;
+    linkElement.textContent = resumeLink;
+    resumeInfo.classList.remove('hidden');
+}
+
+/**************************************************************************
+ * Answer validation
+ **************************************************************************/
+
+/**
+ * Checks whether all required questions of the current page are answered.
+ * 
+ * - Questions are required unless they have the attribute required: false in the survey 
+ *   definition. The free text field of a selected option is required as well, unless its 
+ *   extraInput has the attribute required: false. 
+ * - Highlights the unanswered questions, shows the validation message of the page and 
+ *   scrolls to the first unanswered question. 
+ * - In the soft validation mode, the participant can continue anyway using the button in the 
+ *   validation message (see continueAnywayLogic). The server validates the submitted data 
+ *   with the same rules (see lib/validation.js). 
+ * 
+ * @returns {boolean} Whether the participant may leave the current page. 
+ */
+function validateCurrentPage() {
+    const page = surveyDefinition.pages[currentPage - 1];
+    if (!page || !page.questions) {
+        return true;
+    }
+    const pageElement = document.getElementById(page.id);
+    pageElement.querySelectorAll('.question-missing').forEach(element => element.classList.remove('question-missing'));
+
+    const missingQuestions = getMissingQuestions(page);
+    if (missingQuestions.length === 0 || skipValidation) {
+        skipValidation = false;
+        toggleNotification('hide', `validation-message${currentPage}`);
+        return true;
+    }
+
+    missingQuestions.forEach(name => {
+        pageElement.querySelector(`.question[data-question="${name}"]`)?.classList.add('question-missing');
+    });
+    toggleNotification('show', `validation-message${currentPage}`);
+    pageElement.querySelector('.question-missing')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return false;
+}
+
+/**
+ * Determines the required questions of a page which are not answered.
+ * 
+ * - A choice question also counts as unanswered if the free text field of the selected 
+ *   option is required and empty. 
+ * 
+ * @param {Object} page - The page from the survey definition.
+ * @returns {string[]} The names of the unanswered questions.
+ */
+function getMissingQuestions(page) {
+    return page.questions.filter(question => {
+        const selected = document.querySelector(`input[name="${question.name}"]:checked`);
+        if (!selected) {
+            return question.required !== false;
+        }
+        const option = (question.options || []).find(option => option.value === selected.value);
+        if (option && option.extraInput && option.extraInput.required !== false) {
+            return !document.querySelector(`input[name="${option.extraInput.name}"]`).value.trim();
+        }
+        return false;
+    }).map(question => question.name);
+}
+
+/**
+ * Removes the highlighting of an unanswered question as soon as the participant answers it.
+ * 
+ * - This function is called each time a change in the input fields is detected.
+ * 
+ * @returns {void}
+ */
+function clearMissingHighlight() {
+    this.closest('.question')?.classList.remove('question-missing');
+}
+
+/**
+ * Implements the logic of the button to continue despite unanswered questions (soft 
+ * validation mode). 
+ * 
+ * - Sets the skipValidation flag and continues with the next page or the submission of the 
+ *   data. 
+ * 
+ * @returns {void}
+ */
+function continueAnywayLogic() {
+    skipValidation = true;
+    if (surveyDefinition.pages[currentPage - 1].submit) {
+        submitButtonLogic();
+    } else {
+        nextButtonLogic();
+    }
 }
 
 /**************************************************************************
@@ -887,6 +1723,8 @@ function consentCheckboxLogic() {
  * 
  * - This function is called each time the user navigates within the webpage using the 
  *   next buttons.
+ * - Checks whether all required questions of the current page are answered (see 
+ *   validateCurrentPage); otherwise the user stays on the current page. 
  * - Saves the scroll position on the current page. 
  * - Updates the currentPage value, displays the new page and saves the new state of 
  *   the survey webpage. 
@@ -899,6 +1737,9 @@ function consentCheckboxLogic() {
  * @returns {void}
  */
 function nextButtonLogic() {
+    if (!validateCurrentPage()) {
+        return;
+    }
     if (currentPage < totalPages) {
         saveScrollPositions(currentPage);
         currentPage++;
@@ -1055,6 +1896,8 @@ function handlePopState(event) {
         return;
     }
 
+    logParadata('popstate', { page: currentPage, targetPage: event.state.page });
+
     // (b) Behaviour when the user is on page one and has not activated the consent checkbox:
     const consentIsChecked = consentCheckbox.checked; 
     if (currentPage === 1 && event.state.page === 2 && !consentIsChecked) {
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview This script contains the commands of the raffle: drawing the winners from the
+ * submitted email addresses and purging the email addresses after the raffle.
+ * @author Samuel König
+ * @version 1.0.0
+ *
+ * Usage:
+ *   node scripts/emails.js draw <number of winners>
+ *   node scripts/emails.js purge --confirm
+ */
+
+/**
+ * Load the environment variables from the .env file (DATABASE_URL, STORAGE and
+ * EMAIL_ENCRYPTION_KEY), as for the server.
+ */
+require('dotenv').config();
+
+const { createStorage } = require('../lib/storage');
+const { decryptEmail, drawWinners } = require('../lib/emails');
+
+/**
+ * Draws the winners of the raffle and prints their email addresses.
+ *
+ * - Decrypts the stored email addresses, including the pending email addresses of an
+ *   incomplete batch (see lib/emails.js), with the EMAIL_ENCRYPTION_KEY.
+ * - The email addresses are not changed, so that the draw can be repeated (e.g. if a winner
+ *   cannot be reached) until the email addresses are purged.
+ *
+ * @async
+ * @param {object} storage - The storage backend.
+ * @param {string} countArgument - The number of winners.
+ * @returns {Promise<void>}
+ */
+async function draw(storage, countArgument) {
+  const count = Number(countArgument);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('The number of winners must be a positive integer');
+  }
+  if (!process.env.EMAIL_ENCRYPTION_KEY) {
+    throw new Error('EMAIL_ENCRYPTION_KEY not set in environment variables');
+  }
+  const storedEmails = await storage.loadEmails();
+  let emails;
+  try {
+    emails = storedEmails.map(email => decryptEmail(email, process.env.EMAIL_ENCRYPTION_KEY));
+  } catch (error) {
+    throw new Error('The emails cannot be decrypted with the EMAIL_ENCRYPTION_KEY');
+  }
+  const winners = drawWinners(emails, count);
+  console.error(`Drew ${winners.length} of ${emails.length} emails:`);
+  winners.forEach(winner => console.log(winner));
+}
+
+/**
+ * Deletes all stored email addresses after the raffle, including the pending email addresses of
+ * an incomplete batch.
+ *
+ * - Requires the --confirm flag, since the email addresses cannot be restored.
+ * - The server should be stopped before the email addresses are purged, so that no email
+ *   addresses are submitted in the meantime.
+ *
+ * @async
+ * @param {object} storage - The storage backend.
+ * @param {string} flag - The confirmation flag.
+ * @returns {Promise<void>}
+ */
+async function purge(storage, flag) {
+  if (flag !== '--confirm') {
+    throw new Error('Purging deletes all emails irreversibly, run it with --confirm');
+  }
+  const count = await storage.purgeEmails();
+  console.error(`Purged ${count} emails`);
+}
+
+/**
+ * Runs the command given on the command line with the storage backend of the server (see the
+ * setup of the storage backend in server.js).
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const [command, argument] = process.argv.slice(2);
+  const commands = { draw, purge };
+  if (!commands[command]) {
+    throw new Error('Usage: node scripts/emails.js draw <number of winners> | purge --confirm');
+  }
+  const storage = createStorage(process.env.STORAGE || (process.env.DATABASE_URL ? 'postgres' : 'jsonl'));
+  await storage.init();
+  try {
+    await commands[command](storage, argument);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
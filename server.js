@@ -14,14 +14,47 @@
  * 
  * - randomTreatment @type {boolean}: if true, the treatment group value is assigned randomly.
  * If false, the treatment group value takes the value of treatmentFallback.
+ * - treatmentWeights @type {number[]}: the allocation weights of the treatment groups. The 
+ * number of entries determines the number of treatment groups (with the values 0 to N-1) and 
+ * each entry is the integer weight of the respective group (e.g. [40, 30, 30] assigns 40% of 
+ * the participants to group 0 and 30% to each of the groups 1 and 2).
  * - treatmentFallback @type {number}: the static treatment group value if randomTreatment
  * is set to false.
+ * - randomizationMethod @type {string}: the method of the random assignment: 'simple' (each 
+ * participant is assigned independently according to the treatmentWeights), 'block' (permuted 
+ * blocks in which each group occurs according to its weight) or 'balanced' (the group 
+ * furthest below its target share of the completed and in-flight participants is assigned 
+ * when the imbalance exceeds the balanceTolerance).
+ * - blockMultiplier @type {number}: the block size of the 'block' method as a multiple of the 
+ * sum of the treatmentWeights.
+ * - balanceTolerance @type {number}: the maximum deviation (in participants) of any group from 
+ * its target size which the 'balanced' method tolerates before it assigns deterministically.
+ * - pendingAssignmentTimeout @type {number}: the time in milliseconds after which an assignment 
+ * that has not been submitted no longer counts as in-flight for the 'balanced' method.
+ * - participantTokenLifetime @type {number}: the time in milliseconds after which a participant 
+ * token expires and has to be renewed by the client (see /renewtoken).
+ * - activityStreamHeartbeat @type {number}: the interval in milliseconds of the keep-alive 
+ * comments of the activity stream, which prevent proxies from closing idle streams.
+ * - emailBatchSize @type {number}: the number of submitted emails which are collected before 
+ * they are stored together in random order (see lib/emails.js).
+ * - emailBatchMaxWait @type {number}: the time in milliseconds after which an incomplete batch 
+ * of emails is stored anyway.
  */
 const randomTreatment = true;   // To be specified: whether the treatment group is assigned randomly!
+const treatmentWeights = [1, 1];   // To be specified: the allocation weights of the treatment groups!
 const treatmentFallback = 1;     // To be specified: the treatment fallback value!
+const randomizationMethod = 'balanced';   // To be specified: the randomization method ('simple', 'block' or 'balanced')!
+const blockMultiplier = 2;   // To be specified: the block size multiplier of the 'block' method!
+const balanceTolerance = 2;   // To be specified: the tolerated group imbalance of the 'balanced' method!
+const pendingAssignmentTimeout = 60 * 60 * 1000;   // To be specified: the time an assignment counts as in-flight!
+const participantTokenLifetime = 24 * 60 * 60 * 1000;   // To be specified: the lifetime of the participant tokens!
+const activityStreamHeartbeat = 25000;   // To be specified: the keep-alive interval of the activity stream!
+const emailBatchSize = 20;   // To be specified: the number of emails stored together!
+const emailBatchMaxWait = 24 * 60 * 60 * 1000;   // To be specified: the time an incomplete email batch is kept!
 
 /**
- * Load the environment variables from the .env file (DATABASE_URL and DIRECT_LINE_SECRET).
+ * Load the environment variables from the .env file (DATABASE_URL, DIRECT_LINE_SECRET, 
+ * BOT_BACKEND, STORAGE, PARTICIPANT_TOKEN_SECRET and EMAIL_ENCRYPTION_KEY).
  */
 require('dotenv').config(); 
 
@@ -30,9 +63,50 @@ require('dotenv').config();
  */
 const express = require('express');
 const bodyParser = require('body-parser');
-const { Pool } = require('pg');
 const crypto = require('crypto');
-const axios = require('axios');
+
+/**
+ * Load the survey definition (pages, questions and answer scales).
+ * 
+ * - stratificationQuestions: the questions by whose answers the treatment assignment is 
+ *   stratified.
+ * - lateAssignment: whether the treatment group is assigned after a screening page instead 
+ *   of when the survey is opened.
+ */
+const surveyDefinition = require('./config/survey-definition');
+const stratificationQuestions = surveyDefinition.stratificationQuestions || [];
+const lateAssignment = surveyDefinition.pages.some(page => page.assignsTreatment);
+
+/**
+ * Load the validation of the submitted answers against the survey definition.
+ */
+const { validateResponseData } = require('./lib/validation');
+
+/**
+ * Load the validation of the constructs of the survey definition (see lib/scoring.js).
+ */
+const { validateConstructs } = require('./lib/scoring');
+
+/**
+ * Load the bot backends (see lib/bots).
+ */
+const { createBotBackend } = require('./lib/bots');
+
+/**
+ * Load the storage backends (see lib/storage).
+ */
+const { createStorage } = require('./lib/storage');
+
+/**
+ * Load the signed participant tokens (see lib/tokens.js).
+ */
+const { createParticipantToken, verifyParticipantToken, createConversationToken,
+  verifyConversationToken } = require('./lib/tokens');
+
+/**
+ * Load the email subsystem (see lib/emails.js).
+ */
+const { encryptEmail, createEmailBatch, shuffle } = require('./lib/emails');
 
 /**************************************************************************
  * Setup of webpage, database and chatbot api
@@ -42,11 +116,12 @@ const axios = require('axios');
  * Setup of the webpage.
  * 
  * - Initializes the express application.
- * - Initialiazes a middleware for extracting json data. 
+ * - Initialiazes a middleware for extracting json data (up to 2 MB, since the paradata log and 
+ *   the client state of long sessions exceed the default limit of 100 kB). 
  * - Provides the html, css and javascript files from the public directory. 
  */
 const app = express();
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '2mb' }));
 app.use(express.static('public'));
 
 /**
@@ -67,37 +142,218 @@ setInterval(() => {
 }, 3600000);
 
 /**
- * Setup of the database connection.
+ * Set up an in-memory storage for the treatment randomization.
  * 
- * - Establishes a connection to the postgreSQL database, using the DATABASE_URL from the 
- *   environment variables. 
- * - Tests the connection to the database. 
+ * - pendingAssignments stores the treatment groups (and strata) of participants who have 
+ *   received a group but have not submitted the survey yet (in-flight assignments).
+ * - assignmentBlocks stores the remaining treatment groups of the current permuted block of 
+ *   each stratum.
+ * Automatically clear the in-flight assignments after the pendingAssignmentTimeout.
  */
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-});
-
-pool.connect((err, client, release) => {
-    if (err) {
-        return console.error('Error when connecting with the database:', err.stack);
+const pendingAssignments = new Map();
+const assignmentBlocks = new Map();
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, value] of pendingAssignments) {
+    if (now - value.timestamp > pendingAssignmentTimeout) {
+      pendingAssignments.delete(key);
     }
-    console.log('Successfully connected with the database');
-    release();
-});
+  }
+}, 60000);
+
+/**
+ * Setup of the survey definition.
+ * 
+ * - Checks the constructs of the survey definition (e.g. whether each item is a question of 
+ *   the survey definition), so that the server is not started with an invalid configuration 
+ *   which would only fail when the scores are computed in the admin area or the export. 
+ */
+try {
+    validateConstructs(surveyDefinition);
+} catch (error) {
+    console.error('Error in the constructs of the survey definition:', error.message);
+    process.exit(1);
+}
 
 /**
- * Setup of the botframework api.
+ * Setup of the storage backend.
  * 
- * - Loads the DIRECT_LINE_SECRET from the environment variables, acting as key for the api. 
- * - Creates the base url for the botframework direct line api. 
+ * - Loads the STORAGE from the environment variables: 'postgres' (a postgreSQL database, using 
+ *   the DATABASE_URL and DATABASE_SSL), 'sqlite' (a local SQLite database file) or 'jsonl' 
+ *   (append-only json lines files). See lib/storage/index.js for details. 
+ * - If no storage backend is specified, the postgreSQL database is used when a DATABASE_URL is 
+ *   set and the json lines files otherwise, so that pilots can be run without a database. 
+ * - The storage is initialized (e.g. the database is migrated) before the server is started 
+ *   (see the end of this script). 
  */
-const DIRECT_LINE_SECRET = process.env.DIRECT_LINE_SECRET;
-if (!DIRECT_LINE_SECRET) {
-    console.error("DIRECT_LINE_SECRET not set in environment variables");
+const STORAGE = process.env.STORAGE || (process.env.DATABASE_URL ? 'postgres' : 'jsonl');
+let storage;
+try {
+    storage = createStorage(STORAGE);
+} catch (error) {
+    console.error('Error when setting up the storage backend:', error.message);
     process.exit(1);
 }
-const DIRECT_LINE_BASE = "https://europe.directline.botframework.com/v3/directline";
+console.log(`Using the storage backend: ${STORAGE}`);
+
+/**
+ * Setup of the bot backend.
+ * 
+ * - Loads the BOT_BACKEND from the environment variables: 'directline' (the chatbot is 
+ *   connected via the botframework direct line api, using the DIRECT_LINE_SECRET), 'mock' 
+ *   (the built-in mock bot with scripted replies, see config/mock-bot.js), 'openai' (an 
+ *   OpenAI-compatible chat completions endpoint), 'rasa' (a Rasa REST webhook), 'rule-based' 
+ *   (a local rule-based bot) or 'scripted' (the scripted dialogue engine). See lib/bots/index.js 
+ *   for details. 
+ * - If no bot backend is specified, the direct line api is used when a DIRECT_LINE_SECRET is 
+ *   set and the mock bot otherwise, so that the study can be run offline. 
+ */
+const BOT_BACKEND = process.env.BOT_BACKEND || (process.env.DIRECT_LINE_SECRET ? 'directline' : 'mock');
+let bot;
+try {
+    bot = createBotBackend(BOT_BACKEND);
+} catch (error) {
+    console.error('Error when setting up the bot backend:', error.message);
+    process.exit(1);
+}
+console.log(`Using the bot backend: ${BOT_BACKEND}`);
+
+/**
+ * Setup of the participant tokens.
+ * 
+ * - Loads the secret key of the participant tokens from the PARTICIPANT_TOKEN_SECRET 
+ *   environment variable. 
+ * - In production (NODE_ENV=production), the server is not started without a secret key, 
+ *   since the tokens have to remain valid across restarts and server instances. 
+ * - Otherwise (e.g. for local tests), a random key is generated if no secret key is specified. 
+ *   The tokens issued with it are invalid after a restart of the server and cannot be renewed 
+ *   (see /renewtoken), so the participants have to start a new session. 
+ */
+let tokenSecret = process.env.PARTICIPANT_TOKEN_SECRET;
+if (!tokenSecret && process.env.NODE_ENV === 'production') {
+    console.error('PARTICIPANT_TOKEN_SECRET not set in environment variables');
+    process.exit(1);
+}
+if (!tokenSecret) {
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('PARTICIPANT_TOKEN_SECRET not set in environment variables, using a random key');
+}
+
+/**
+ * Setup of the email collection.
+ * 
+ * - Loads the secret key with which the emails are encrypted from the EMAIL_ENCRYPTION_KEY 
+ *   environment variable. 
+ * - The submitted emails are collected in batches which are stored in random order, so that 
+ *   the emails cannot be linked to the survey responses by the time or order in which they 
+ *   are stored (see lib/emails.js). 
+ * - If no secret key is specified, no emails are accepted, since emails encrypted with a 
+ *   random key could not be decrypted for the raffle after a restart of the server. The client 
+ *   then hides the email form of the final page (see /emailcollection). 
+ * - If a secret key is specified, the emails which were stored before the encryption was 
+ *   introduced are encrypted and stored again in random order when the server is started (see 
+ *   the end of this script). 
+ */
+const emailEncryptionKey = process.env.EMAIL_ENCRYPTION_KEY;
+const emailBatch = emailEncryptionKey
+    ? createEmailBatch(storage, { secret: emailEncryptionKey, batchSize: emailBatchSize, maxWait: emailBatchMaxWait })
+    : null;
+if (!emailBatch) {
+    console.warn('EMAIL_ENCRYPTION_KEY not set in environment variables, the email collection is disabled');
+}
+
+/**
+ * Setup of the admin area.
+ *
+ * - Provides the password-protected dashboard with the study progress at /admin (see
+ *   lib/admin.js). The password is loaded from the ADMIN_PASSWORD environment variable.
+ * - The admin area and the data export query the postgreSQL database and are therefore only 
+ *   available with the 'postgres' storage backend. With the other storage backends, /admin 
+ *   answers with 501 if an ADMIN_PASSWORD is set, so that the missing admin area is not 
+ *   mistaken for a wrong URL. 
+ */
+const { createAdminRouter } = require('./lib/admin');
+if (storage.pool) {
+    app.use('/admin', createAdminRouter(storage.pool, surveyDefinition));
+} else if (process.env.ADMIN_PASSWORD) {
+    console.warn(`The admin area and the data export are not available with the ${STORAGE} storage backend`);
+    app.use('/admin', (req, res) => {
+        res.status(501).send('The admin area and the data export require the postgres storage backend.');
+    });
+}
+
+/**************************************************************************
+ * Participant tokens
+ **************************************************************************/
+
+/**
+ * Creates a middleware which verifies the participant token of a request. 
+ * 
+ * - The participant token is issued by /generateSurveyData (and renewed by /assigntreatment, 
+ *   /renewtoken and /resume) and sent by the client as participantToken in the json body (or as query 
+ *   parameter of GET requests such as /activitystream). 
+ * - Rejects the request with 401 if the token is missing, invalid or expired (see 
+ *   participantTokenLifetime; the client then renews it, see /renewtoken) and with 403 if the 
+ *   participantId or treatmentGroup sent by the client does not match the token (values 
+ *   which are not sent are not compared). 
+ * - If requireTreatmentGroup is true, rejects the request with 403 if no treatment group has 
+ *   been assigned to the participant yet (late assignment). 
+ * - Stores the participant id and treatment group of the token as req.participant, from 
+ *   which the endpoints derive them. 
+ * 
+ * @param {{requireTreatmentGroup: boolean}} [options] - Whether the request requires an 
+ * assigned treatment group. 
+ * @returns {Function} The middleware. 
+ */
+function requireParticipant({ requireTreatmentGroup = false } = {}) {
+  return (req, res, next) => {
+    const params = req.method === 'GET' ? req.query : req.body;
+    const participant = verifyParticipantToken(params.participantToken, tokenSecret, participantTokenLifetime);
+    if (!participant) {
+      return res.status(401).json({ error: 'Invalid participant token.' });
+    }
+    const { participantId, treatmentGroup } = params;
+    if (participantId !== undefined && participantId !== participant.participantId) {
+      return res.status(403).json({ error: 'Participant id does not match the participant token.' });
+    }
+    const groupSent = treatmentGroup !== undefined && treatmentGroup !== null && treatmentGroup !== '';
+    if (groupSent && Number(treatmentGroup) !== participant.treatmentGroup) {
+      return res.status(403).json({ error: 'Treatment group does not match the participant token.' });
+    }
+    if (requireTreatmentGroup && !isValidTreatmentGroup(participant.treatmentGroup)) {
+      return res.status(403).json({ error: 'No treatment group assigned.' });
+    }
+    req.participant = participant;
+    next();
+  };
+}
+
+/**
+ * Middleware which verifies that the conversation of a request belongs to the participant. 
+ * 
+ * - Is used after requireParticipant. The conversationId and the conversation token issued by 
+ *   /startconversation are sent by the client in the json body (or as query parameters of GET 
+ *   requests). 
+ * - Rejects the request with 403 if the conversation token is missing or invalid or does not 
+ *   match the conversationId and the participant of the participant token, e.g. if the 
+ *   conversation id of another participant is sent. 
+ * - Since the conversation token is signed with the PARTICIPANT_TOKEN_SECRET, the conversation 
+ *   remains accessible after a restart of the server, on other server instances and after the 
+ *   survey has been resumed (the token is part of the client state, see /checkpoint). 
+ * 
+ * @param {object} req - The request, with the participant of the token as req.participant. 
+ * @param {object} res - The response. 
+ * @param {Function} next - The next middleware. 
+ */
+function requireConversation(req, res, next) {
+  const { conversationId, conversationToken } = req.method === 'GET' ? req.query : req.body;
+  const conversation = verifyConversationToken(conversationToken, tokenSecret);
+  if (!conversation || conversation.conversationId !== conversationId
+      || conversation.participantId !== req.participant.participantId) {
+    return res.status(403).json({ error: 'Conversation does not belong to the participant.' });
+  }
+  next();
+}
 
 /**************************************************************************
  * Generation of metadata
@@ -107,16 +363,15 @@ const DIRECT_LINE_BASE = "https://europe.directline.botframework.com/v3/directli
  * Generates a unique participant id.
  * 
  * - Generates a participant id using the createParticipantId function and checks whether the
- *   generated id already exists in the database. If this is the case, repeats this procedure
- *   until a unique id is generated. 
+ *   generated id is already in use (by a stored survey response or session, or by an in-flight 
+ *   assignment). If this is the case, repeats this procedure until a unique id is generated. 
  * 
  * @returns {string} A unique participant id. 
  */
 async function generateUniqueParticipantId() {
     while (true) {
         const id = createParticipantId();
-        const result = await pool.query('SELECT participant_id FROM survey_responses WHERE participant_id = $1', [id]);
-        if (result.rows.length === 0) {
+        if (!pendingAssignments.has(id) && !(await storage.hasParticipant(id))) {
             return id;
         }
     }
@@ -132,12 +387,10 @@ async function generateUniqueParticipantId() {
  */
 function createParticipantId() {
     const prefix = 'ID-';
-    const randomBytes = crypto.randomBytes(8);
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
     let randomStr = '';
     for (let i = 0; i < 15; i++) {
-        const randomIndex = randomBytes[i % randomBytes.length] % chars.length;
-        randomStr += chars.charAt(randomIndex);
+        randomStr += chars.charAt(crypto.randomInt(chars.length));
     }
 
     const now = new Date();
@@ -152,24 +405,247 @@ function createParticipantId() {
     return prefix + randomStr + timestamp;
 }
 
+/**
+ * Creates a resume code. 
+ * 
+ * - The resume code consists of eight random characters (without characters which can 
+ *   easily be confused, such as O and 0) and allows participants to resume the survey in 
+ *   another browser tab or on another device. 
+ * 
+ * @returns {string} A resume code. 
+ */
+function createResumeCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 8; i++) {
+        code += chars.charAt(crypto.randomInt(chars.length));
+    }
+    return code;
+}
+
 /**
  * Assigns a group to the client. 
  * 
- * - Creates the random variable treatment.
- * - If randomTreatment is true, assigns 0 or 1 randomly to this variable.
- * - Otherwise, assigns the treatmentFallback value to this variable. 
+ * - If randomTreatment is true, assigns the group using the configured randomizationMethod
+ *   within the stratum of the participant. Otherwise, assigns the treatmentFallback value. 
+ * - If the balanced assignment fails (e.g. due to a database error), falls back to the 
+ *   simple weighted assignment. 
+ * - Stores the group as an in-flight assignment of the participant in both cases. 
  * 
+ * @async
+ * @param {string} participantId - The participant id of the client. 
+ * @param {Object.<string, string>} stratum - The answers of the participant to the 
+ * stratificationQuestions (empty if the assignment is not stratified). 
  * @returns {number} A treatment group value. 
  */
-function assignGroup() {
-  if (randomTreatment) {
-    //return Math.random() < 0.5 ? 0 : 1;
-    return crypto.randomInt(2);
+async function assignGroup(participantId, stratum = {}) {
+  const stratumKey = getStratumKey(stratum);
+  let group;
+  if (!randomTreatment) {
+    group = treatmentFallback;
+  } else if (randomizationMethod === 'block') {
+    group = assignBlockGroup(stratumKey);
+  } else if (randomizationMethod === 'balanced') {
+    try {
+      group = await assignBalancedGroup(stratum);
+    } catch (error) {
+      console.error('Error with the balanced assignment, using simple assignment:', error);
+      group = assignWeightedGroup();
+    }
   } else {
-    return treatmentFallback;
+    group = assignWeightedGroup();
+  }
+  pendingAssignments.set(participantId, { group: group, stratumKey: stratumKey, timestamp: Date.now() });
+  return group;
+}
+
+/**
+ * Creates a key identifying the stratum of a participant. 
+ * 
+ * - The key consists of the answers to all stratificationQuestions (unanswered questions 
+ *   are treated as an empty answer). 
+ * 
+ * @param {Object.<string, string>} stratum - The answers to the stratificationQuestions. 
+ * @returns {string} The stratum key. 
+ */
+function getStratumKey(stratum) {
+  return JSON.stringify(stratificationQuestions.map(question => stratum[question] || ''));
+}
+
+/**
+ * Assigns a group randomly according to the treatmentWeights. 
+ * 
+ * - Draws a random number below the sum of all treatmentWeights and returns the group in 
+ *   whose weight interval this number falls, so that each group is assigned with a 
+ *   probability proportional to its weight.
+ * 
+ * @returns {number} A treatment group value. 
+ */
+function assignWeightedGroup() {
+  const totalWeight = treatmentWeights.reduce((sum, weight) => sum + weight, 0);
+  let randomValue = crypto.randomInt(totalWeight);
+  for (let group = 0; group < treatmentWeights.length; group++) {
+    if (randomValue < treatmentWeights[group]) {
+      return group;
+    }
+    randomValue -= treatmentWeights[group];
+  }
+  return treatmentFallback;
+}
+
+/**
+ * Assigns a group using permuted blocks. 
+ * 
+ * - Each stratum has its own sequence of blocks. 
+ * - If the current block of the stratum is exhausted, creates a new block in which each group 
+ *   occurs blockMultiplier times its weight and shuffles it (Fisher-Yates shuffle).
+ * - Returns the next group of the current block. 
+ * 
+ * @param {string} stratumKey - The key of the stratum of the participant. 
+ * @returns {number} A treatment group value. 
+ */
+function assignBlockGroup(stratumKey) {
+  if (!assignmentBlocks.has(stratumKey)) {
+    assignmentBlocks.set(stratumKey, []);
+  }
+  const assignmentBlock = assignmentBlocks.get(stratumKey);
+  if (assignmentBlock.length === 0) {
+    treatmentWeights.forEach((weight, group) => {
+      for (let i = 0; i < weight * blockMultiplier; i++) {
+        assignmentBlock.push(group);
+      }
+    });
+    for (let i = assignmentBlock.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [assignmentBlock[i], assignmentBlock[j]] = [assignmentBlock[j], assignmentBlock[i]];
+    }
+  }
+  return assignmentBlock.pop();
+}
+
+/**
+ * Assigns a group based on the current group sizes. 
+ * 
+ * - Counts the participants per group within the stratum of the participant from the 
+ *   submitted responses in the database and the in-flight assignments (see getGroupSizes).
+ * - Compares each group size with the target size according to the treatmentWeights. If the 
+ *   deviation of any group exceeds the balanceTolerance, assigns the group which is furthest 
+ *   below its target size (ties are broken randomly).
+ * - Otherwise, assigns the group randomly according to the treatmentWeights so that the 
+ *   assignment stays unpredictable. 
+ * 
+ * @async
+ * @param {Object.<string, string>} stratum - The answers to the stratificationQuestions. 
+ * @returns {number} A treatment group value. 
+ */
+async function assignBalancedGroup(stratum) {
+  const groupSizes = await getGroupSizes(stratum);
+  const totalSize = groupSizes.reduce((sum, size) => sum + size, 0);
+  const totalWeight = treatmentWeights.reduce((sum, weight) => sum + weight, 0);
+  const deficits = treatmentWeights.map((weight, group) => (totalSize * weight / totalWeight) - groupSizes[group]);
+
+  const maxDeviation = Math.max(...deficits.map(deficit => Math.abs(deficit)));
+  if (maxDeviation <= balanceTolerance) {
+    return assignWeightedGroup();
+  }
+  const maxDeficit = Math.max(...deficits);
+  const candidates = [];
+  deficits.forEach((deficit, group) => {
+    if (deficit === maxDeficit) candidates.push(group);
+  });
+  return candidates[crypto.randomInt(candidates.length)];
+}
+
+/**
+ * Determines the number of participants per treatment group within a stratum. 
+ * 
+ * - Counts the submitted responses per treatment group in the storage whose answers to the
+ *   stratificationQuestions match the stratum. 
+ * - Adds the in-flight assignments of participants of the same stratum who have not 
+ *   submitted the survey yet. 
+ * 
+ * @async
+ * @param {Object.<string, string>} stratum - The answers to the stratificationQuestions. 
+ * @returns {number[]} The number of participants per treatment group. 
+ */
+async function getGroupSizes(stratum) {
+  const groupSizes = treatmentWeights.map(() => 0);
+  const counts = await storage.countResponses(
+    Object.fromEntries(stratificationQuestions.map(question => [question, stratum[question] || '']))
+  );
+  counts.forEach(({ treatmentGroup, count }) => {
+    const group = Number(treatmentGroup);
+    if (isValidTreatmentGroup(group)) {
+      groupSizes[group] += Number(count);
+    }
+  });
+  const stratumKey = getStratumKey(stratum);
+  for (const value of pendingAssignments.values()) {
+    if (value.stratumKey === stratumKey) {
+      groupSizes[value.group]++;
+    }
+  }
+  return groupSizes;
+}
+
+/**
+ * Checks whether a value sent by the client is a valid treatment group value. 
+ * 
+ * - The value is valid if it is (or represents) an integer between 0 and the number of 
+ *   treatment groups minus one. 
+ * 
+ * @param {number|string} treatmentGroup - The treatment group value to be checked. 
+ * @returns {boolean} Whether the value is a valid treatment group value. 
+ */
+function isValidTreatmentGroup(treatmentGroup) {
+  if (treatmentGroup === undefined || treatmentGroup === null || treatmentGroup === '') {
+    return false;
+  }
+  const group = Number(treatmentGroup);
+  return Number.isInteger(group) && group >= 0 && group < treatmentWeights.length;
+}
+
+/**************************************************************************
+ * Session registry
+ **************************************************************************/
+
+/**
+ * Marks the session of a participant in the session registry as completed. 
+ * 
+ * - Errors are only logged since the survey data has already been stored at this point. 
+ * 
+ * @async
+ * @param {string} participantId - The participant id of the client. 
+ * @returns {void}
+ */
+async function completeSession(participantId) {
+  try {
+    await storage.completeSession(participantId);
+  } catch (error) {
+    console.error('Error with completing the session:', error);
   }
 }
 
+/**************************************************************************
+ * Chatbot activities
+ **************************************************************************/
+
+/**
+ * Adds the time at which the server received the activities from the bot backend. 
+ * 
+ * - The time is added to each activity as serverReceivedAt, so that the client can store it 
+ *   in the conversation log together with the timestamp of the activity and the times at 
+ *   which the activity arrived at and was displayed by the client (see processActivitiesInOrder 
+ *   in chatbot.js). 
+ * 
+ * @param {object[]} activities - The activities received from the bot backend. 
+ * @returns {object[]} The activities with the serverReceivedAt value. 
+ */
+function addServerReceivedAt(activities) {
+  const serverReceivedAt = new Date().toISOString();
+  return (activities || []).map(activity => ({ ...activity, serverReceivedAt }));
+}
+
 /**************************************************************************
  * Survey-related endpoints
  **************************************************************************/
@@ -177,18 +653,24 @@ function assignGroup() {
 /**
  * Provides the client with a participant id and a treatment group value. 
  * 
- * - Provides participant id and treatment group in json format. 
+ * - Provides a unique participant id (see generateUniqueParticipantId), treatment group and 
+ *   the number of treatment groups in json format. 
+ * - Provides the participant token, which signs the participant id and treatment group and 
+ *   which the client sends with all later requests (see requireParticipant). 
+ * - If the survey uses a late assignment, the treatment group value is null and the client 
+ *   requests it after the screening page (see /assigntreatment). 
  * 
  * @returns {object} json object with participant id and treatment group. 
  */
 app.get('/generateSurveyData', async (req, res) => {
     try {
-        //const participantId = await generateUniqueParticipantId();
-        const participantId = createParticipantId();
-        const treatmentGroup = assignGroup();
+        const participantId = await generateUniqueParticipantId();
+        const treatmentGroup = lateAssignment ? null : await assignGroup(participantId);
         res.json({ 
           participantId: participantId, 
-          treatmentGroup: treatmentGroup
+          treatmentGroup: treatmentGroup,
+          numberOfTreatmentGroups: treatmentWeights.length,
+          participantToken: createParticipantToken(participantId, treatmentGroup, tokenSecret)
          });
     } catch (error) {
         console.error('Error when generating participantId or treatmentGroup:', error);
@@ -197,30 +679,229 @@ app.get('/generateSurveyData', async (req, res) => {
 });
 
 /**
- * Receives the survey data submitted by the client and stores them in the database. 
+ * Assigns a treatment group to the client after the screening page. 
  * 
- * - Receives the participantId, treatmentGroup, conversationLog by the client in json format. 
+ * - This endpoint is used if the survey uses a late assignment (a page of the survey 
+ *   definition has the assignsTreatment attribute). 
+ * - Receives the participant token and the answers to the stratificationQuestions (stratum) 
+ *   from the client. The participantId is derived from the token (see requireParticipant). 
+ * - If the participant has already been assigned a group (according to the token or, e.g. 
+ *   when the request is repeated, an in-flight assignment), provides this group again. 
+ *   Otherwise assigns a group within the stratum. 
+ * - Provides a new participant token, which signs the assigned treatment group. 
+ * 
+ * @param {object} req - An object with the participant token and the stratum. 
+ * @returns {object} json object with the treatment group and the new participant token. 
+ */
+app.post('/assigntreatment', requireParticipant(), async (req, res) => {
+    const { participantId } = req.participant;
+    const { stratum = {} } = req.body;
+
+    try {
+        let treatmentGroup = req.participant.treatmentGroup;
+        if (!isValidTreatmentGroup(treatmentGroup) && pendingAssignments.has(participantId)) {
+            treatmentGroup = pendingAssignments.get(participantId).group;
+        }
+        if (!isValidTreatmentGroup(treatmentGroup)) {
+            const stratumAnswers = {};
+            stratificationQuestions.forEach(question => {
+                stratumAnswers[question] = typeof stratum[question] === 'string' ? stratum[question] : '';
+            });
+            treatmentGroup = await assignGroup(participantId, stratumAnswers);
+        }
+        res.json({
+            treatmentGroup: treatmentGroup,
+            participantToken: createParticipantToken(participantId, treatmentGroup, tokenSecret)
+        });
+    } catch (error) {
+        console.error('Error when assigning the treatmentGroup:', error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+/**
+ * Renews the participant token of a participant. 
+ * 
+ * - The client requests a new token if the server rejected its token (e.g. because it has 
+ *   expired, see participantTokenLifetime), so that the participant keeps the participantId 
+ *   and treatmentGroup. 
+ * - Receives the previous participant token from the client. The signature of the token is 
+ *   verified, its expiry is ignored; responds with 401 if the token is missing or invalid. 
+ *   The participantId and treatmentGroup are taken from the token, never from the request. 
+ * - If the token has no treatment group yet (late assignment), takes the group of the 
+ *   in-flight assignment or the stored session of the participant (see /checkpoint), if any. 
+ * 
+ * @param {object} req - An object with the previous participant token. 
+ * @returns {object} json object with the participantId, treatment group and participant token. 
+ */
+app.post('/renewtoken', async (req, res) => {
+    const participant = verifyParticipantToken(req.body.participantToken, tokenSecret);
+    if (!participant) {
+      return res.status(401).json({ error: 'Invalid participant token.' });
+    }
+
+    try {
+      const { participantId } = participant;
+      let treatmentGroup = participant.treatmentGroup;
+      if (!isValidTreatmentGroup(treatmentGroup) && pendingAssignments.has(participantId)) {
+        treatmentGroup = pendingAssignments.get(participantId).group;
+      }
+      if (!isValidTreatmentGroup(treatmentGroup)) {
+        const session = await storage.loadParticipantSession(participantId);
+        treatmentGroup = session ? session.treatmentGroup : null;
+      }
+      res.json({
+        participantId: participantId,
+        treatmentGroup: treatmentGroup,
+        participantToken: createParticipantToken(participantId, treatmentGroup, tokenSecret)
+      });
+    } catch (error) {
+        console.error('Error with renewing the participant token:', error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+/**
+ * Provides the client with the survey definition. 
+ * 
+ * - The client renders the questionnaire pages and determines the names of the survey 
+ *   questions based on this definition (see config/survey-definition.js). 
+ * 
+ * @returns {object} json object with the survey pages and answer scales. 
+ */
+app.get('/surveydefinition', (req, res) => {
+    res.json(surveyDefinition);
+});
+
+/**
+ * Receives a checkpoint of the survey progress from the client and stores it in the 
+ * session registry. 
+ * 
+ * - Receives the participant token, currentPage, the current answers (formData), the 
+ *   conversation state and the client state (the session storage entries required to 
+ *   resume the survey) from the client. The participantId and treatmentGroup are derived 
+ *   from the token (see requireParticipant); the treatmentGroup value is null if the 
+ *   treatment group has not been assigned yet. 
+ * - Inserts or updates the session of the participant in the storage. Besides 
+ *   the current page, the furthest page reached is recorded so that dropouts can be analyzed 
+ *   per page and treatment group. When the session is inserted, a resume code is created.
+ * - Sessions which have already been completed (see /submit) are not updated anymore. 
+ * 
+ * @param {object} req - The checkpoint data submitted by the client. 
+ * @returns {object} json object with the resume code of the session. 
+ */
+app.post('/checkpoint', requireParticipant(), async (req, res) => {
+    const { participantId, treatmentGroup } = req.participant;
+    const { currentPage, formData, conversation, clientState } = req.body;
+    if (!Number.isInteger(currentPage)) {
+      return res.status(400).json({ error: 'Current page is required.' });
+    }
+
+    try {
+      const resumeCode = await storage.saveCheckpoint({
+        participantId,
+        treatmentGroup: isValidTreatmentGroup(treatmentGroup) ? treatmentGroup : null,
+        currentPage,
+        formData: formData || {},
+        conversation: conversation || '',
+        clientState: clientState || {},
+        resumeCode: createResumeCode()
+      });
+      res.json({ resumeCode });
+    } catch (error) {
+        console.error('Error with saving the checkpoint:', error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+/**
+ * Provides the client with the stored state of a survey session to resume the survey. 
+ * 
+ * - Receives the resume code from the client. 
+ * - Looks up the session with this resume code in the session registry. Sessions which have 
+ *   already been completed cannot be resumed. 
+ * - Provides the participantId, treatmentGroup, a new participant token, the answers, the 
+ *   conversation and the client state (the session storage entries of the last checkpoint, 
+ *   including the conversationId and watermark) of the session. 
+ * 
+ * @param {object} req - The request with the resume code as url parameter. 
+ * @returns {object} json object with the participantId, treatmentGroup, participant token, 
+ * answers, conversation and client state. 
+ */
+app.get('/resume/:resumeCode', async (req, res) => {
+    const resumeCode = String(req.params.resumeCode).trim().toUpperCase();
+
+    try {
+      const session = await storage.loadSession(resumeCode);
+      if (!session) {
+        return res.status(404).json({ error: 'Unknown or completed session.' });
+      }
+      res.json({
+        participantId: session.participantId,
+        treatmentGroup: session.treatmentGroup,
+        participantToken: createParticipantToken(session.participantId, session.treatmentGroup, tokenSecret),
+        formData: session.formData || {},
+        conversation: session.conversation || '',
+        clientState: session.clientState || {}
+      });
+    } catch (error) {
+        console.error('Error with loading the session:', error);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+/**
+ * Receives the survey data submitted by the client and stores them in the storage. 
+ * 
+ * - Receives the participant token and conversationLog by the client in json format. The 
+ *   participantId and treatmentGroup are derived from the token (see requireParticipant). 
+ *   Rejects the request if the conversationLog is missing. 
+ * - Receives the paradata log (the interaction timeline, see public/paradata.js), which is 
+ *   stored in its own column. A paradata log which is not an array is stored as null. 
  * - Receives the survey question answers by the client and join them in a json object 
- *   responseData. 
- * - Inserts the participantId, treatmentGrou, conversationLog and responseData into the 
- *   database.
+ *   responseData. Rejects the request if answers are invalid or, in the 'hard' validation 
+ *   mode, if required questions are unanswered (see lib/validation.js). 
+ * - Stores the participantId, treatmentGrou, conversationLog, responseData and paradata in the 
+ *   storage (in the databases also in the normalized tables, see lib/responses.js) and removes 
+ *   the in-flight assignment of the participant.
+ * - The submission is idempotent: only the first submission of a participant is stored. If the 
+ *   participant has already submitted the survey (e.g. when the client repeats the request 
+ *   because the response was lost), the stored data are kept and the request is answered with 
+ *   409 and alreadySubmitted: true. 
+ * - Marks the session of the participant in the session registry as completed (see 
+ *   /checkpoint). 
  * 
  * @param {object} req - The survey data submitted by the client. 
  */
-app.post('/submit', async (req, res) => {
-    const { participantId, treatmentGroup, conversationLog, ...responseData } = req.body;
-    if (!participantId || !treatmentGroup || !conversationLog) {
+app.post('/submit', requireParticipant({ requireTreatmentGroup: true }), async (req, res) => {
+    const { participantId, treatmentGroup } = req.participant;
+    const { conversationLog, paradata } = req.body;
+    const metadataFields = ['participantId', 'treatmentGroup', 'participantToken', 'conversationLog', 'paradata'];
+    const responseData = Object.fromEntries(
+      Object.entries(req.body).filter(([name]) => !metadataFields.includes(name))
+    );
+    if (!conversationLog) {
       return res.status(400).json({ error: 'All fields are necessary.' });
     }
+    const validation = validateResponseData(responseData, surveyDefinition);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid or missing answers.', invalid: validation.invalid, missing: validation.missing });
+    }
 
     try {
-      const query = `
-      INSERT INTO survey_responses (participant_id, treatment_group, response_data, conversation_log)
-      VALUES ($1, $2, $3, $4)
-    `;
-    const values = [participantId, treatmentGroup, JSON.stringify(responseData), conversationLog];
-    await pool.query(query, values);
-    res.sendStatus(200);
+      const stored = await storage.saveResponse({
+        participantId,
+        treatmentGroup,
+        responseData,
+        conversationLog,
+        paradata: Array.isArray(paradata) ? paradata : null
+      });
+      pendingAssignments.delete(participantId);
+      await completeSession(participantId);
+      if (!stored) {
+        return res.status(409).json({ error: 'Survey already submitted.', alreadySubmitted: true });
+      }
+      res.sendStatus(200);
     } catch (error) {
         console.error('Error with inserting the data:', error);
         res.status(500).json({ error: 'Internal server error.' });
@@ -228,26 +909,40 @@ app.post('/submit', async (req, res) => {
 });
 
 /**
- * Receives the email submitted by the client and stores it in the database. 
+ * Provides the client with the status of the email collection. 
+ * 
+ * - The client only shows the email form of the final page if the email collection is 
+ *   enabled, i.e. if an EMAIL_ENCRYPTION_KEY is specified (see Setup of the email collection), 
+ *   so that participants do not submit emails which are rejected. 
+ * 
+ * @returns {object} json object with the enabled flag of the email collection. 
+ */
+app.get('/emailcollection', (req, res) => {
+    res.json({ enabled: Boolean(emailBatch) });
+});
+
+/**
+ * Receives the email submitted by the client and adds it to the batch of emails. 
  * 
- * - Receives the email by the client. 
- * - Inserts the email in a separate table. 
+ * - Receives the email by the client. The request contains neither the participant id nor 
+ *   the participant token, so that the email is not linked to the survey data. 
+ * - Adds the encrypted email to the current batch of emails, which is stored separately from 
+ *   the survey data once it is complete (see Setup of the email collection). 
+ * - Responds with 503 if the email collection is disabled. 
  * 
  * @param {object} req - The email submitted by the client. 
  */
 app.post('/submit-email', async (req, res) => {
   const { email } = req.body;
-  if (!email) {
+  if (typeof email !== 'string' || !email.trim()) {
     return res.status(400).json({ error: 'Email is required.' });
   }
+  if (!emailBatch) {
+    return res.status(503).json({ error: 'Email collection is disabled.' });
+  }
 
   try {
-    const query = `
-      INSERT INTO emails (email_address)
-      VALUES ($1)
-    `;
-    const values = [email];
-    await pool.query(query, values);  //TODO: Zum Testen ohne Daten abschicken auskommentieren
+    await emailBatch.add(email.trim());
 
     return res.sendStatus(200);
   } catch (error) {
@@ -261,38 +956,26 @@ app.post('/submit-email', async (req, res) => {
  **************************************************************************/
 
 /**
- * Endpoint to start a new conversation with the chatbot via the botframework direct line api. 
+ * Endpoint to start a new conversation with the chatbot via the bot backend. 
  * 
- * - Starts a new conversation with the chatbot.
- * - Sends a conversationUpdate to the chatbot to inform the chatbot that the user has joined 
- *   the conversation and to inform the chatbot about the user's treatment group value. 
+ * - Derives the treatment group from the participant token (see requireParticipant). 
+ * - Starts a new conversation with the chatbot and informs the chatbot about the user's 
+ *   treatment group value (see lib/bots). 
+ * - Provides the conversation token, which signs the participant as owner of the conversation 
+ *   and which the client sends with all later requests of the conversation (see 
+ *   requireConversation). 
  * 
- * @param {object} req - An object with the client's treatment group value.
- * @returns {object} json object with the conversation id. 
+ * @param {object} req - An object with the client's participant token.
+ * @returns {object} json object with the conversation id and the conversation token. 
  */
-app.post('/startconversation', async (req, res) => {
-  const { treatmentGroup } = req.body; 
+app.post('/startconversation', requireParticipant({ requireTreatmentGroup: true }), async (req, res) => {
+  const { participantId, treatmentGroup } = req.participant;
   try {
-    const response = await axios.post(`${DIRECT_LINE_BASE}/conversations`, {}, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    const data = response.data;
-    const activity = {
-      type: "conversationUpdate",
-      membersAdded: [{ id: "user1" }],
-      from: { id: "Test_Chatbot_1" },
-      channelData: { treatmentGroup: treatmentGroup }
-    };
-    await axios.post(`${DIRECT_LINE_BASE}/conversations/${data.conversationId}/activities`, activity, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`,
-        'Content-Type': 'application/json'
-      }
+    const data = await bot.startConversation(treatmentGroup);
+    res.json({
+      ...data,
+      conversationToken: createConversationToken(participantId, data.conversationId, tokenSecret)
     });
-    res.json(data);
   } catch (err) {
     console.error("Error when starting the conversation:", err);
     res.status(500).json({ error: "Error when starting the conversation", details: err.toString() });
@@ -302,28 +985,23 @@ app.post('/startconversation', async (req, res) => {
 /**
  * Endpoint to retrieve new activities from the chatbot. 
  * 
- * - Receives the conversationId, watermark and treatmentGroup values from the client. 
- * - Retrieves new activities in the conversation. The watermark value is added to the 
- *   retrieval url to only receive new activities since the last retrieval. 
- * - Provides the client with the new activities. 
+ * - Receives the conversationId, watermark and participant token from the client and derives 
+ *   the treatmentGroup from the token (see requireParticipant). Only the conversation of the 
+ *   participant can be retrieved (see requireConversation). 
+ * - Retrieves new activities in the conversation from the bot backend. The watermark value 
+ *   is used to only receive new activities since the last retrieval. 
+ * - Provides the client with the new activities, each with the time at which the server 
+ *   received it (see addServerReceivedAt). 
  * 
- * @param {object} req - An object with the conversationId, watermark and treatment group 
- * values. 
+ * @param {object} req - An object with the conversationId, watermark and participant token. 
  * @returns {object} json object with the new activities since the last activity retrieval. 
  */
-app.post('/getactivities', async (req, res) => {
-  const { conversationId, watermark, treatmentGroup } = req.body;
-  let url = `${DIRECT_LINE_BASE}/conversations/${conversationId}/activities`;
-  if (watermark) {
-    url += `?watermark=${watermark}`;
-  }
+app.post('/getactivities', requireParticipant({ requireTreatmentGroup: true }), requireConversation, async (req, res) => {
+  const { conversationId, watermark } = req.body;
+  const { treatmentGroup } = req.participant;
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`
-      }
-    });
-    const data = response.data;
+    const data = await bot.getActivities(conversationId, watermark);
+    data.activities = addServerReceivedAt(data.activities);
     data.treatmentGroup = treatmentGroup;
     res.json(data);
   } catch (err) {
@@ -332,27 +1010,112 @@ app.post('/getactivities', async (req, res) => {
   }
 });
 
+/**
+ * Endpoint to stream new activities from the chatbot via server-sent events. 
+ * 
+ * - Receives the conversationId, watermark and participant token from the client as query 
+ *   parameters. Only the conversation of the participant can be streamed (see 
+ *   requireParticipant and requireConversation). 
+ * - Subscribes to the activities of the conversation via the bot backend. Returns a 404 
+ *   status if the bot backend does not support subscriptions, so that the client falls back 
+ *   to polling /getactivities. 
+ * - Sends the new activities as 'activities' events in the same format as /getactivities 
+ *   (including the time at which the server received each activity). 
+ *   Activities without a bot message (e.g. the echo of a user message) are held back until 
+ *   the next bot message, so that each event contains the reply of the chatbot. 
+ * - Sends a keep-alive comment every activityStreamHeartbeat milliseconds and ends the 
+ *   subscription when the client closes the stream (also if the client closes the stream 
+ *   while the subscription is being opened). If the subscription fails, the stream is 
+ *   closed and the client falls back to polling. 
+ * 
+ * @param {object} req - An object with the conversationId, watermark and participantToken 
+ * query parameters. 
+ * @returns {void}
+ */
+app.get('/activitystream', requireParticipant({ requireTreatmentGroup: true }), requireConversation, async (req, res) => {
+  const { conversationId, watermark } = req.query;
+  if (!bot.subscribe) {
+    return res.status(404).json({ error: "The bot backend does not support activity streams" });
+  }
+  if (!conversationId) {
+    return res.status(400).json({ error: "Missing conversationId" });
+  }
+
+  let heldBackActivities = [];
+  let heartbeat = null;
+  let unsubscribe = null;
+  let streamClosed = false;
+
+  const closeStream = () => {
+    streamClosed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+  const sendActivities = (data) => {
+    heldBackActivities = heldBackActivities.concat(addServerReceivedAt(data.activities));
+    if (!heldBackActivities.some(act => act.type === 'message' && act.from && act.from.id !== 'user1')) {
+      return;
+    }
+    res.write(`event: activities\ndata: ${JSON.stringify({ activities: heldBackActivities, watermark: data.watermark })}\n\n`);
+    heldBackActivities = [];
+  };
+  const failStream = (error) => {
+    console.error("Error in the activity stream:", error);
+    closeStream();
+    res.end();
+  };
+
+  res.on('close', closeStream);
+  try {
+    unsubscribe = await bot.subscribe(conversationId, watermark, sendActivities, failStream);
+  } catch (err) {
+    console.error("Error when opening the activity stream:", err);
+    if (streamClosed) return;
+    return res.status(500).json({ error: "Error when opening the activity stream", details: err.toString() });
+  }
+  if (streamClosed) {
+    unsubscribe();
+    unsubscribe = null;
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), activityStreamHeartbeat);
+});
+
 /**
  * Endpoint to send a user message to the chatbot. 
  * 
- * - Receives the conversationId, the user message and the treatmentGroup value from
- *   the client. 
- * - Adds the new user message to the conversation via the direct line api. 
+ * - Receives the conversationId, the user message and the participant token from the 
+ *   client and derives the treatmentGroup from the token (see requireParticipant). Only 
+ *   messages to the conversation of the participant are sent (see requireConversation).
+ * - Adds the new user message to the conversation via the bot backend. 
  * - Generates a messageKey and saves it in the in-memory storage. Before adding a 
  * new message to the conversation, checks whether this message is not already 
  * existing in the in-memory storage (if this is the case, returns an empty json).
+ * - Provides the client with the activity id of the user message and the time at which the 
+ *   server first received the message (receivedAt, also for repeated requests). 
  * 
  * @param {object} req - An object with the conversationId, the user message and the 
- * treatment group value. 
- * @returns {object} json object with the conversation id.
+ * participant token. 
+ * @returns {object} json object with the activity id and the receivedAt time.
  */
-app.post('/sendmessage', async (req, res) => {
-  const { conversationId, text, treatmentGroup, clientSideMsgId } = req.body;
+app.post('/sendmessage', requireParticipant({ requireTreatmentGroup: true }), requireConversation, async (req, res) => {
+  const { conversationId, text, clientSideMsgId } = req.body;
+  const { treatmentGroup } = req.participant;
   const messageKey = `${conversationId}::${clientSideMsgId}`;
+  const receivedAt = new Date().toISOString();
 
   if (processedMessages.has(messageKey)) {
     const storedEntry = processedMessages.get(messageKey);
-    return res.json({ status: "duplicate", id: storedEntry.id });
+    return res.json({ status: "duplicate", id: storedEntry.id, receivedAt: storedEntry.receivedAt });
   }
 
   if (inProgressMessages.has(messageKey)) {
@@ -361,24 +1124,12 @@ app.post('/sendmessage', async (req, res) => {
 
   inProgressMessages.set(messageKey, true);
 
-  const activity = {
-    type: "message",
-    from: { id: "user1" },
-    text,
-    channelData: { treatmentGroup: treatmentGroup }
-  };
-
   try {
-    const response = await axios.post(`${DIRECT_LINE_BASE}/conversations/${conversationId}/activities`, activity, {
-      headers: {
-        'Authorization': `Bearer ${DIRECT_LINE_SECRET}`,
-        'Content-Type': 'application/json'
-      }
-    });
+    const data = await bot.sendMessage(conversationId, text, treatmentGroup);
 
-    processedMessages.set(messageKey, { timestamp: Date.now(), id: response.data.id });
+    processedMessages.set(messageKey, { timestamp: Date.now(), id: data.id, receivedAt });
     inProgressMessages.delete(messageKey);
-    res.json(response.data);
+    res.json({ ...data, receivedAt });
 
   } catch (err) {
     console.error("Error when sending the message:", err);
@@ -396,8 +1147,38 @@ app.post('/sendmessage', async (req, res) => {
  * 
  * - When the server is running locally, the default port is 3000. Otherwise, the 
  *   port is automatically assigned based on the environment variables. 
+ * - Before the server is started, the storage backend is initialized (e.g. the pending 
+ *   migrations of the database schema are applied, see lib/migrations.js). If the storage 
+ *   cannot be initialized, the server is not started. 
+ * - If the email collection is enabled, the emails which were stored before the encryption was 
+ *   introduced are encrypted before the server is started, and the storage of the emails which 
+ *   are still pending from before the start is scheduled (see lib/emails.js). 
+ * - When the server is stopped (SIGINT or SIGTERM), the storage is closed. The pending emails 
+ *   of the incomplete batch remain in the storage until the batch is complete. 
  */
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+storage.init()
+    .then(async () => {
+        console.log('Successfully initialized the storage');
+        if (emailBatch) {
+            const count = await storage.encryptPlaintextEmails(email => encryptEmail(email, emailEncryptionKey), shuffle);
+            if (count > 0) console.log(`Encrypted ${count} emails which were stored without encryption`);
+            await emailBatch.resume();
+        }
+        app.listen(PORT, () => {
+            console.log(`Server running on port ${PORT}`);
+        });
+    })
+    .catch(err => {
+        console.error('Error when initializing the storage:', err.stack);
+        process.exit(1);
+    });
+
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, async () => {
+    try {
+        await storage.close();
+    } catch (error) {
+        console.error('Error when closing the storage:', error);
+    }
+    process.exit(0);
+}));